@@ -23,10 +23,10 @@ else
     echo -e "${GREEN}Found existing .env file.${NC}"
 fi
 
-# Make sure the index.js file is executable
-if [ ! -x "$PROJECT_DIR/src/index.js" ]; then
+# Make sure the cli.js file is executable
+if [ ! -x "$PROJECT_DIR/src/cli.js" ]; then
     echo -e "${YELLOW}Making the entry point executable...${NC}"
-    chmod +x "$PROJECT_DIR/src/index.js"
+    chmod +x "$PROJECT_DIR/src/cli.js"
     echo -e "${GREEN}Entry point is now executable.${NC}"
 else
     echo -e "${GREEN}Entry point is already executable.${NC}"
@@ -61,7 +61,7 @@ echo -e ""
 echo -e "${YELLOW}Press Ctrl+C to stop the server.${NC}"
 
 # Run the server
-cd "$PROJECT_DIR" && node src/index.js
+cd "$PROJECT_DIR" && node src/cli.js
 
 # If the server was stopped, notify the user
 echo -e "\n${RED}MCP Server stopped.${NC}"
@@ -1,7 +1,7 @@
 #!/bin/bash
 
 # Make the server executable
-chmod +x ./src/index.js
+chmod +x ./src/cli.js
 
 # Create .env file from example if it doesn't exist
 if [ ! -f .env ]; then
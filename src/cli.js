@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+/**
+ * Command line entry point: starts a standalone server from the configuration given by
+ * defaults, an optional config file (--config or CONFIG_FILE), the environment and flags
+ */
+import { ConfigError, loadConfig } from './config/index.js';
+import { createServer } from './server.js';
+import { logger } from './utils/logger.js';
+
+let server;
+try {
+  const config = loadConfig({ argv: process.argv.slice(2) });
+  // Settings that refer to files, such as API keys, are read while the server is created
+  server = createServer({ config, standalone: true });
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+  console.error(`[SwaggerMCP] ${error.message}`);
+  process.exit(1);
+}
+
+server.run().catch(error => {
+  logger.error('Failed to start server', error);
+  process.exit(1);
+});
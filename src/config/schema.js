@@ -0,0 +1,192 @@
+/**
+ * JSON Schema of the server configuration, used to validate the merged settings at startup
+ */
+
+const positiveInteger = { type: 'integer', minimum: 1 };
+const nonNegativeInteger = { type: 'integer', minimum: 0 };
+const stringList = { type: 'array', items: { type: 'string' } };
+const toolRules = {
+  type: 'array',
+  items: { type: 'string', pattern: '^(method|tag|operation|path):.+$' },
+};
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['swaggerUrl', 'apiBaseUrl', 'port', 'transport', 'logLevel'],
+  properties: {
+    swaggerUrl: { type: 'string', minLength: 1 },
+    apiBaseUrl: { type: 'string', minLength: 1 },
+    apiServer: { type: 'string' },
+    apiServerVariables: { type: ['string', 'object'] },
+    port: { type: 'integer', minimum: 0, maximum: 65535 },
+    transport: { type: 'string', enum: ['sse', 'stdio'] },
+    logLevel: { type: 'string', enum: ['debug', 'info', 'warn', 'error'] },
+    logging: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        file: { type: 'boolean' },
+        directory: { type: 'string', minLength: 1 },
+        console: { type: 'boolean' },
+        rotationInterval: positiveInteger,
+      },
+    },
+    caching: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        defaultTtl: positiveInteger,
+        specTtl: positiveInteger,
+        reportTtl: positiveInteger,
+        maxSize: positiveInteger,
+        cleanupInterval: positiveInteger,
+      },
+    },
+    coerceArguments: { type: 'boolean' },
+    tools: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        readOnly: { type: 'boolean' },
+        allow: toolRules,
+        deny: toolRules,
+      },
+    },
+    confirmation: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        require: toolRules,
+        skip: toolRules,
+        timeout: positiveInteger,
+      },
+    },
+    batch: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        maxSize: positiveInteger,
+        concurrency: positiveInteger,
+      },
+    },
+    sessions: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        maxSessions: nonNegativeInteger,
+        idleTimeout: nonNegativeInteger,
+        keepAliveInterval: nonNegativeInteger,
+      },
+    },
+    shutdownTimeout: nonNegativeInteger,
+    cors: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        origin: {
+          anyOf: [{ type: 'string' }, stringList],
+        },
+        credentials: { type: 'boolean' },
+        allowedHeaders: stringList,
+        exposedHeaders: stringList,
+        maxAge: nonNegativeInteger,
+      },
+    },
+    rateLimit: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        windowMs: positiveInteger,
+        max: positiveInteger,
+        tools: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['max'],
+            properties: {
+              windowMs: positiveInteger,
+              max: positiveInteger,
+            },
+          },
+        },
+      },
+    },
+    trustProxy: { type: ['boolean', 'integer', 'string'] },
+    auth: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        apiKeys: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['name', 'hash'],
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              hash: { type: 'string', pattern: '^[0-9a-fA-F]{64}$' },
+              scopes: stringList,
+            },
+          },
+        },
+        apiKeysFile: { type: 'string', minLength: 1 },
+        jwt: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            secret: { type: 'string', minLength: 1 },
+            jwksFile: { type: 'string', minLength: 1 },
+            issuer: { type: 'string' },
+            audience: { type: 'string' },
+            clockTolerance: nonNegativeInteger,
+          },
+        },
+        defaultScopes: stringList,
+      },
+    },
+    upstreamAuth: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        credentials: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              // apiKey schemes
+              value: { type: ['string', 'number'] },
+              // http basic
+              username: { type: 'string' },
+              password: { type: 'string' },
+              // http bearer
+              token: { type: 'string' },
+              // oauth2 client credentials
+              clientId: { type: 'string' },
+              clientSecret: { type: 'string' },
+              scopes: stringList,
+              tokenUrl: { type: 'string' },
+            },
+          },
+        },
+        credentialsFile: { type: 'string', minLength: 1 },
+        passthrough: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            header: { type: 'string', pattern: '^[A-Za-z0-9-]+$' },
+            forwardVerifiedTokens: { type: 'boolean' },
+          },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,1831 @@
+/**
+ * SwaggerMCPServer: exposes the operations of an OpenAPI or Swagger specification as MCP tools
+ * over SSE, Streamable HTTP, plain JSON-RPC or stdio. Constructing a server starts nothing;
+ * `run()` loads the specification and starts the configured transport.
+ */
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import {
+  CallToolRequestSchema,
+  ErrorCode,
+  ListToolsRequestSchema,
+  LATEST_PROTOCOL_VERSION,
+  McpError,
+  ResultSchema,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  isInitializeRequest,
+} from '@modelcontextprotocol/sdk/types.js';
+import { createHash, randomUUID } from 'node:crypto';
+import fetch from 'node-fetch';
+import express from 'express';
+import { ErrorHandler } from './utils/errorHandler.js';
+import {
+  logger,
+  Logger,
+  addSensitiveKey,
+  configureLogger,
+  createCorrelationId,
+  flushLogs,
+  sanitizeData,
+  setConsoleToStderr,
+} from './utils/logger.js';
+import { ResponseCache } from './utils/cache.js';
+import { PaginationHelper } from './utils/pagination.js';
+import { ApiError } from './utils/apiError.js';
+import { loadSpecification } from './utils/specLoader.js';
+import { getSpecVersion, normalizeSpecification } from './utils/specNormalizer.js';
+import { ServerResolver } from './utils/serverResolver.js';
+import { SecurityResolver } from './utils/securityResolver.js';
+import { ToolFilter } from './utils/toolFilter.js';
+import { CONFIRMATION_ARGUMENT, ConfirmationGate, describeRequest } from './utils/confirmation.js';
+import { SchemaResolver } from './utils/schemaResolver.js';
+import { SchemaConverter } from './utils/schemaConverter.js';
+import { buildRequest } from './utils/requestBuilder.js';
+import { Validator } from './utils/validator.js';
+import { ArgumentCoercer } from './utils/coercion.js';
+import { EventStore } from './utils/eventStore.js';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import { SessionManager } from './utils/sessionManager.js';
+import { ShutdownCoordinator } from './utils/shutdown.js';
+import { createCorsMiddleware } from './utils/cors.js';
+import { RateLimiter, createRateLimitMiddleware } from './utils/rateLimiter.js';
+import {
+  AuthError,
+  Authenticator,
+  canUseTool,
+  createAuthMiddleware,
+  sendAuthError,
+} from './utils/auth.js';
+import {
+  loadConfig,
+  mergeConfig,
+  readConfigFile,
+  redactConfig,
+  validateConfig,
+} from './config/index.js';
+import { CONFIG_SCHEMA } from './config/schema.js';
+
+// Name and version reported to MCP clients
+const SERVER_INFO = {
+  name: 'coredatastore-swagger-mcp',
+  version: '1.0.0',
+};
+
+// Protocol capabilities answered by the plain JSON-RPC endpoint
+const SERVER_CAPABILITIES = {
+  tools: {},
+  resources: {},
+  prompts: {},
+};
+
+// The original non-standard method names, still accepted on /mcp
+const LEGACY_METHOD_ALIASES = {
+  'mcp.listTools': 'tools/list',
+  'mcp.callTool': 'tools/call',
+};
+
+// Documentation resources
+const RESOURCE_SCHEME = 'swagger://';
+const DOCUMENTATION_URI = `${RESOURCE_SCHEME}docs`;
+const ENDPOINT_URI_TEMPLATE = `${RESOURCE_SCHEME}{path*}`;
+
+// MCP transport: 'sse' serves HTTP, 'stdio' is for clients that spawn the server as a process
+const TRANSPORTS = ['sse', 'stdio'];
+
+// Endpoints browser-based MCP clients may call across origins; admin endpoints are excluded
+const CORS_PATHS = ['/mcp', '/sse', '/messages', '/tools', '/health'];
+
+// Endpoints that require authentication when it is enabled, and the scope each needs beyond
+// that; tools are further limited by the caller's tool scopes
+const AUTHENTICATED_PATHS = [
+  { paths: ['/mcp', '/sse', '/messages', '/tools'] },
+  { paths: ['/api'], scope: 'proxy' },
+  { paths: ['/sessions', '/config'], scope: 'admin' },
+];
+
+// Endpoints that reach the upstream API, and so count towards the client rate limit
+const RATE_LIMITED_PATHS = ['/mcp', '/messages', '/api'];
+
+// Headers the authenticator reads API keys from
+
+// Header parameters that OpenAPI says must be ignored in parameter definitions
+const IGNORED_HEADER_PARAMETERS = ['accept', 'content-type', 'authorization'];
+
+// Request body media types tools can send, in order of preference
+const BODY_MEDIA_TYPES = [
+  'application/json',
+  'application/x-www-form-urlencoded',
+  'multipart/form-data',
+];
+
+// Default descriptions for parameters by location
+const PARAMETER_DESCRIPTIONS = {
+  path: 'parameter',
+  query: 'query parameter',
+  header: 'header parameter',
+  cookie: 'cookie parameter',
+};
+
+/**
+ * Hashes a credential for use in keys, so the value itself is never stored
+ * @param {string} value - Value to hash
+ * @returns {string} First 16 hex digits of the SHA-256 digest
+ */
+function shortHash(value) {
+  return createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+/**
+ * Checks whether a schema describes file content, directly or as array items
+ * @param {Object} schema - OpenAPI schema
+ * @returns {boolean} True for binary strings and Swagger 2.0 files
+ */
+function isBinarySchema(schema = {}) {
+  return (
+    schema.format === 'binary' ||
+    schema.type === 'file' ||
+    (schema.items !== undefined && isBinarySchema(schema.items))
+  );
+}
+
+/**
+ * Names the tool of an operation after its operationId, or its method and path when it has none
+ * @param {string} path - Path template
+ * @param {string} method - HTTP method
+ * @param {Object} operation - Operation from the specification
+ * @returns {string} Tool name
+ */
+function toolName(path, method, operation) {
+  return operation.operationId || `${method}_${path.replace(/\//g, '_').replace(/[{}]/g, '')}`;
+}
+
+/**
+ * Checks whether a schema constrains its type through composition or enumeration
+ * @param {Object} schema - JSON Schema
+ * @returns {boolean} True if the schema has type information other than `type`
+ */
+function hasTypeKeywords(schema) {
+  return ['enum', 'const', 'oneOf', 'anyOf', 'allOf'].some(
+    keyword => schema[keyword] !== undefined
+  );
+}
+
+export class SwaggerMCPServer {
+  /**
+   * Create a new server. Settings not given as options come from `options.config`, or from
+   * the configuration loaded from the environment and CONFIG_FILE when none is given.
+   * @param {Object} options - Server options
+   * @param {Object} options.config - Loaded configuration, see src/config
+   * @param {string} options.swaggerUrl - URL or file path of the specification to load
+   * @param {Object} options.spec - Specification document to use instead of loading one
+   * @param {string} options.apiBaseUrl - Upstream base URL when the spec declares no servers
+   * @param {string} options.apiServer - Name, description or index of the spec server to use
+   * @param {string|Object} options.apiServerVariables - Server variable overrides
+   * @param {number} options.port - HTTP port, 0 for any free port
+   * @param {string} options.transport - MCP transport, 'sse' or 'stdio'
+   * @param {boolean} options.coerceArguments - Whether to coerce loosely typed tool arguments
+   * @param {Object} options.batch - JSON-RPC batch limits: `maxSize` and `concurrency`
+   * @param {Object} options.sessions - Session limits: `maxSessions`, `idleTimeout` and
+   *   `keepAliveInterval`
+   * @param {number} options.shutdownTimeout - Milliseconds to drain in-flight tool calls
+   * @param {Object} options.caches - Response caches: `spec` and `report`, created from the
+   *   `caching` settings when not given
+   * @param {Logger} options.logger - Logger used by the server
+   * @param {boolean} options.standalone - Whether the server owns the process: it then shuts
+   *   down on SIGINT and SIGTERM, flushes the log file and exits afterwards
+   */
+  constructor(options = {}) {
+    // Options named like settings override the configuration
+    const overrides = Object.fromEntries(
+      Object.keys(CONFIG_SCHEMA.properties).map(key => [key, options[key]])
+    );
+    this.config = validateConfig(mergeConfig(options.config || loadConfig(), overrides));
+    // Apply the logLevel and logging settings to the shared logger
+    configureLogger(this.config);
+
+    // Create McpServer instance
+    this.server = new McpServer(SERVER_INFO);
+
+    // Initialize properties
+    this.tools = [];
+    this.paths = {};
+    this.schemas = {};
+    this.swaggerSpec = null;
+    this.specVersion = null;
+    this.serverResolver = null;
+    // Secrets for the specification's security schemes, applied once the spec is loaded
+    this.upstreamCredentials = this.loadUpstreamCredentials(this.config.upstreamAuth);
+    this.tokenPassthrough = this.config.upstreamAuth.passthrough;
+    if (this.tokenPassthrough.enabled) {
+      addSensitiveKey(this.tokenPassthrough.header);
+    }
+    this.swaggerUrl = this.config.swaggerUrl;
+    this.spec = options.spec || null;
+    this.apiBaseUrl = this.config.apiBaseUrl;
+    this.apiServer = this.config.apiServer;
+    this.apiServerVariables = this.config.apiServerVariables;
+    this.port = this.config.port;
+    this.logger = options.logger || logger;
+    // Replaced by one built from the specification's security schemes in init()
+    this.securityResolver = new SecurityResolver(null, {
+      credentials: this.upstreamCredentials,
+      fetch,
+      logger: this.logger,
+    });
+    this.caches = options.caches || this.createCaches(this.config.caching);
+    this.standalone = options.standalone === true;
+    this.coerceArguments = this.config.coerceArguments;
+    // Operations left out of the tools, so they cannot be listed or called
+    this.toolFilter = new ToolFilter(this.config.tools);
+    // Calls that change data wait for the user's confirmation
+    this.confirmations = new ConfirmationGate(this.config.confirmation);
+    this.batchOptions = { ...this.config.batch };
+    this.transportType = this.config.transport;
+    // SSE and Streamable HTTP sessions by sessionId
+    this.sessions = new SessionManager({ ...this.config.sessions, logger: this.logger });
+
+    // HTTP server returned by app.listen, closed on shutdown
+    this.httpServer = null;
+    this.shutdownCoordinator = new ShutdownCoordinator({
+      timeout: this.config.shutdownTimeout,
+      logger: this.logger,
+      // Embedded servers leave the process to their host
+      exit: this.standalone ? undefined : () => {},
+    });
+    this.registerShutdownSteps();
+
+    // Create Express server for API queries and SSE connections
+    this.app = express();
+    this.app.set('trust proxy', this.config.trustProxy);
+    if (this.config.cors.enabled) {
+      // Browser clients must be allowed to send their token in a custom passthrough header
+      const allowedHeaders = [...this.config.cors.allowedHeaders];
+      const { enabled, header } = this.tokenPassthrough;
+      if (enabled && !allowedHeaders.some(name => name.toLowerCase() === header.toLowerCase())) {
+        allowedHeaders.push(header);
+      }
+      this.app.use(CORS_PATHS, createCorsMiddleware({ ...this.config.cors, allowedHeaders }));
+    }
+    this.app.use(express.json());
+
+    // Refuse new requests once shutdown has started, so load balancers move on
+    this.app.use((req, res, next) => {
+      if (!this.shutdownCoordinator.isShuttingDown) {
+        next();
+        return;
+      }
+      res.set('Connection', 'close');
+      res.status(503).json({ error: 'Server is shutting down' });
+    });
+
+    this.setupAuthentication(this.config.auth);
+    this.setupRateLimits(this.config.rateLimit);
+  }
+
+  /**
+   * Require credentials on every endpoint except /health. The stdio transport serves a local
+   * client over a pipe and has no endpoints, so it is never authenticated.
+   * @param {Object} auth - Auth settings
+   */
+  setupAuthentication(auth) {
+    this.authenticator = null;
+    if (!auth.enabled || this.transportType === 'stdio') {
+      return;
+    }
+
+    this.authenticator = new Authenticator(auth);
+    for (const { paths, scope } of AUTHENTICATED_PATHS) {
+      this.app.use(paths, createAuthMiddleware(this.authenticator, { scope, logger: this.logger }));
+    }
+  }
+
+  /**
+   * Check whether a caller may list and call a tool
+   * @param {Object} tool - Tool
+   * @param {Object} auth - Authenticated caller, see Authenticator.authenticate
+   * @returns {boolean} True if allowed, always when authentication is off
+   */
+  canAccessTool(tool, auth) {
+    return !this.authenticator || (auth !== undefined && canUseTool(auth.scopes, tool));
+  }
+
+  /**
+   * Check that a request to an existing session comes from the caller that opened it, so a
+   * leaked session ID is not enough to use someone else's session
+   * @param {Object} session - Session record
+   * @param {Object} req - Express request
+   * @returns {boolean} True if the caller owns the session, always when authentication is off
+   */
+  isSessionOwner(session, req) {
+    return (
+      !this.authenticator ||
+      (session.auth?.type === req.auth?.type && session.auth?.subject === req.auth?.subject)
+    );
+  }
+
+  /**
+   * Read the caller's own upstream token from a request when tokens are passed through. The
+   * credentials a caller authenticated with here are not forwarded when they arrive in the same
+   * header: API keys never, and verified JWTs only with `forwardVerifiedTokens`.
+   * @param {Object} req - Express request
+   * @returns {string|undefined} Token, without any Bearer prefix
+   */
+  getUpstreamToken(req) {
+    const { enabled, header, forwardVerifiedTokens } = this.tokenPassthrough;
+    const name = header.toLowerCase();
+    const value = req.headers?.[name];
+    if (!enabled || typeof value !== 'string') {
+      return undefined;
+    }
+    if (req.auth?.header === name && !(req.auth.type === 'jwt' && forwardVerifiedTokens)) {
+      return undefined;
+    }
+    return value.replace(/^Bearer\s+/i, '').trim() || undefined;
+  }
+
+  /**
+   * Create the per-client rate limiters: one for requests to the endpoints that reach the
+   * upstream API, and one for each tool with its own limit
+   * @param {Object} rateLimit - Rate limit settings
+   */
+  setupRateLimits({ enabled, windowMs, max, tools }) {
+    this.rateLimiter = null;
+    this.toolRateLimiters = new Map();
+
+    if (!enabled) {
+      return;
+    }
+
+    this.rateLimiter = new RateLimiter({ windowMs, max });
+    for (const [name, limits] of Object.entries(tools)) {
+      this.toolRateLimiters.set(name, new RateLimiter({ windowMs, ...limits }));
+    }
+
+    this.app.use(
+      RATE_LIMITED_PATHS,
+      createRateLimitMiddleware(this.rateLimiter, req => this.getClientKey(req), {
+        logger: this.logger,
+      })
+    );
+  }
+
+  /**
+   * Identify the client behind a request for rate limiting: the authenticated caller, otherwise
+   * its IP address. Unchecked credentials and session IDs are never used, since a client could
+   * pick a new one for every request or reconnect to get a fresh quota.
+   * @param {Object} req - Express request
+   * @returns {string} Client key
+   */
+  getClientKey(req) {
+    if (req.auth) {
+      return `${req.auth.type}:${req.auth.subject}`;
+    }
+
+    return `ip:${req.ip}`;
+  }
+
+  /**
+   * Count a tool call against the tool's own rate limit, if it has one
+   * @param {string} name - Tool name
+   * @param {string} clientKey - Client making the call
+   */
+  checkToolRateLimit(name, clientKey) {
+    const limiter = this.toolRateLimiters.get(name);
+    if (!limiter) {
+      return;
+    }
+
+    const outcome = limiter.consume(clientKey);
+    if (!outcome.allowed) {
+      this.logger.warn(`Tool rate limit exceeded for ${clientKey}`, {
+        tool: name,
+        retryAfter: outcome.retryAfter,
+      });
+      throw new McpError(
+        -32000,
+        `Rate limit exceeded for tool ${name}, retry in ${outcome.retryAfter} seconds`,
+        { retryAfter: outcome.retryAfter }
+      );
+    }
+  }
+
+  /**
+   * Read the upstream credentials from the configuration and the credentials file. Settings in
+   * the configuration take precedence.
+   * @param {Object} upstreamAuth - Upstream auth settings
+   * @returns {Object} Credentials by security scheme name
+   */
+  loadUpstreamCredentials({ credentials, credentialsFile }) {
+    const fromFile = credentialsFile ? readConfigFile(credentialsFile) : {};
+    return mergeConfig(fromFile, credentials);
+  }
+
+  /**
+   * Create the response caches for the specification and proxied reports
+   * @param {Object} caching - Caching settings
+   * @returns {{spec: ResponseCache, report: ResponseCache}} Caches
+   */
+  createCaches({ enabled, defaultTtl, maxSize, cleanupInterval }) {
+    const cacheOptions = { enabled, defaultTtl, maxSize, cleanupInterval };
+    return {
+      spec: new ResponseCache(cacheOptions),
+      report: new ResponseCache(cacheOptions),
+    };
+  }
+
+  /**
+   * Register the shutdown sequence: stop accepting connections, then, once in-flight tool
+   * calls have drained, close sessions, stop cache timers and flush the log file
+   */
+  registerShutdownSteps() {
+    this.shutdownCoordinator.beforeDrain('stop accepting connections', () => {
+      // Open SSE streams keep the server from closing until their sessions are closed below
+      this.httpServer?.close();
+      this.httpServer?.closeIdleConnections?.();
+    });
+
+    this.shutdownCoordinator.afterDrain('close sessions', async () => {
+      await this.sessions.closeAll();
+      if (this.transportType === 'stdio') {
+        await this.server.close();
+      }
+    });
+    this.shutdownCoordinator.afterDrain('dispose caches', () => {
+      for (const cache of new Set(Object.values(this.caches))) {
+        cache.dispose();
+      }
+    });
+
+    // The log file belongs to the process, so only a standalone server closes it
+    if (this.standalone) {
+      this.shutdownCoordinator.afterDrain('flush logs', () => flushLogs());
+    }
+  }
+
+  /**
+   * Shut the server down: stop accepting connections, drain in-flight tool calls, close
+   * sessions and release resources. Standalone servers exit the process afterwards.
+   * @returns {Promise<void>} Resolves once shutdown has completed
+   */
+  close() {
+    return this.shutdownCoordinator.shutdown('server closed');
+  }
+
+  /**
+   * Load the specification, build the tools and, for HTTP transports, start listening
+   * @returns {Promise<void>} Resolves once the server is ready
+   */
+  async init() {
+    try {
+      if (this.spec) {
+        this.swaggerSpec = this.spec;
+      } else {
+        this.logger.info(`Loading Swagger specification from: ${this.swaggerUrl}`);
+
+        // Use cache for the Swagger specification to improve startup time
+        const fetchSwagger = async () => {
+          return await loadSpecification(this.swaggerUrl);
+        };
+
+        this.swaggerSpec = await this.caches.spec.getOrFetch(
+          `swagger_spec:${this.swaggerUrl}`,
+          fetchSwagger,
+          this.config.caching.specTtl
+        );
+      }
+
+      if (!this.swaggerSpec || !this.swaggerSpec.paths) {
+        throw new Error('Invalid Swagger specification');
+      }
+
+      // Swagger 2.0 documents are converted to the OpenAPI 3 model used everywhere else
+      this.specVersion = getSpecVersion(this.swaggerSpec);
+      this.swaggerSpec = normalizeSpecification(this.swaggerSpec);
+      this.logger.info(`Detected specification version: ${this.specVersion || 'unknown'}`);
+
+      this.serverResolver = new ServerResolver(this.swaggerSpec, {
+        selector: this.apiServer,
+        variables: this.apiServerVariables,
+        specUrl: this.spec ? undefined : this.swaggerUrl,
+        fallbackUrl: this.apiBaseUrl,
+      });
+      this.logger.info(`Upstream API base URL: ${this.serverResolver.defaultUrl}`);
+
+      this.securityResolver = new SecurityResolver(this.swaggerSpec, {
+        credentials: this.upstreamCredentials,
+        baseUrl: this.serverResolver.defaultUrl,
+        fetch,
+        logger: this.logger,
+      });
+      for (const name of this.securityResolver.unknownCredentials()) {
+        this.logger.warn(`Upstream credentials for ${name} match no security scheme in the spec`);
+      }
+
+      this.paths = this.swaggerSpec.paths;
+      this.schemas = this.swaggerSpec.components?.schemas || {};
+
+      // Parse the specification and build tools
+      await this.buildTools();
+
+      this.logger.info(
+        `Successfully loaded specification with ${Object.keys(this.paths).length} paths`
+      );
+
+      // The stdio transport is spawned by its client and serves no HTTP endpoints
+      if (this.transportType !== 'stdio') {
+        // Setup proxy endpoints in Express after we have swagger spec
+        this.setupExpressProxy();
+
+        // Start the Express server
+        await this.startExpressServer();
+      }
+    } catch (error) {
+      this.logger.error('Error initializing:', error);
+      throw error;
+    }
+  }
+
+  setupExpressProxy() {
+    // Add logging middleware - ensure it's properly formatted for Express
+    const loggerMiddlewareFunc = Logger.expressMiddleware();
+    this.app.use((req, res, next) => {
+      loggerMiddlewareFunc(req, res, next);
+    });
+
+    // Add error handling middleware at the end of the middleware chain
+    this.app.use((err, req, res, next) => {
+      ErrorHandler.expressErrorHandler(err, req, res, next);
+    });
+
+    // Add a proxy middleware for specific API endpoints
+    // Instead of using a wildcard route pattern that might cause path-to-regexp errors
+
+    // Add a specific route for LP reports by ID
+    this.app.get('/api/LpcReport/:lpcId', async (req, res, next) => {
+      try {
+        const lpcId = req.params.lpcId;
+        const targetUrl = `${this.getBaseUrl('/api/LpcReport/{lpcId}', 'get')}/api/LpcReport/${lpcId}`;
+        // Reports fetched with a caller's token are only cached for that caller
+        const upstreamToken = this.getUpstreamToken(req);
+        const cacheKey = upstreamToken
+          ? `report_${lpcId}_${shortHash(upstreamToken)}`
+          : `report_${lpcId}`;
+
+        // Use the report cache with the configured report expiry
+        const data = await this.caches.report.getOrFetch(
+          cacheKey,
+          async () => {
+            this.logger.info(`Proxying request to: GET ${targetUrl}`);
+
+            const operation = this.paths['/api/LpcReport/{lpcId}']?.get;
+            const response = await this.securityResolver.send(
+              this.securityResolver.requirementsFor(operation),
+              targetUrl,
+              { headers: { Accept: 'application/json' } },
+              upstreamToken
+            );
+
+            if (!response.ok) {
+              throw new ApiError(
+                `API responded with ${response.status}: ${response.statusText}`,
+                response.status
+              );
+            }
+
+            return await response.json();
+          },
+          this.config.caching.reportTtl
+        );
+
+        // Format response for possible pagination
+        const formattedResponse = PaginationHelper.formatPaginatedResponse(data);
+        res.json(formattedResponse);
+      } catch (error) {
+        next(error); // Pass to error handler middleware
+      }
+    });
+
+    // Add generic fallback proxy for other routes
+    this.app.use('/api', (req, res) => {
+      res.status(404).json({
+        error: 'Endpoint not configured in proxy',
+        message: "This endpoint hasn't been explicitly configured in the swagger-mcp proxy",
+      });
+    });
+  }
+
+  /**
+   * Get the upstream base URL for an operation
+   * @param {string} path - Path template from the specification
+   * @param {string} method - HTTP method
+   * @returns {string} Base URL from the spec's servers, or the fallback when it declares none
+   */
+  getBaseUrl(path, method) {
+    return this.serverResolver ? this.serverResolver.getBaseUrl(path, method) : this.apiBaseUrl;
+  }
+
+  /**
+   * Execute a registered tool by name. Every transport dispatches tool calls through here,
+   * and arguments are optionally coerced, then validated against the tool's input schema
+   * before the upstream call.
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {string} requestId - Correlation ID for logging
+   * @param {Object} context - Caller details
+   * @param {string} context.clientKey - Client key for per-tool rate limits, see getClientKey
+   * @param {Object} context.auth - Authenticated caller, whose scopes must allow the tool
+   * @param {string} context.upstreamToken - Caller's own token, forwarded to the upstream
+   * @param {Function} context.elicit - Sends an elicitation/create request to the client, when
+   *   it supports elicitation
+   * @returns {Promise<Object>} MCP tool result
+   */
+  async callTool(name, args = {}, requestId = createCorrelationId(), context = {}) {
+    // Tools outside the caller's scopes look exactly like tools that do not exist
+    const tool = this.tools.find(t => t.name === name);
+    if (!tool || !this.canAccessTool(tool, context.auth)) {
+      if (tool) {
+        this.logger.warn(`Denied call to tool ${name}`, {
+          requestId,
+          subject: context.auth?.subject,
+        });
+      }
+      throw new McpError(ErrorCode.InvalidParams, `Tool not found: ${name}`);
+    }
+
+    // stdio serves a single local client
+    this.checkToolRateLimit(name, context.clientKey || 'local');
+
+    const { path, method, parameters } = tool.metadata || {};
+    if (!path || !method) {
+      throw new McpError(ErrorCode.InternalError, `Invalid tool metadata for: ${name}`);
+    }
+
+    if (this.coerceArguments && tool.inputSchema) {
+      const coerced = ArgumentCoercer.coerceArguments(tool.inputSchema, args);
+      if (coerced.coercions.length > 0) {
+        this.logger.debug(`Coerced arguments for tool ${name}`, {
+          requestId,
+          coercions: coerced.coercions,
+        });
+      }
+      args = coerced.args;
+    }
+
+    // Reject invalid arguments before any upstream request is made
+    try {
+      Validator.validateAll(tool, args);
+    } catch (error) {
+      this.logger.warn(`Invalid arguments for tool ${name}`, { requestId, error: error.message });
+      return ErrorHandler.createMcpErrorResponse(error);
+    }
+
+    if (this.confirmations.isRequired(tool)) {
+      const { [CONFIRMATION_ARGUMENT]: confirmationToken, ...callArgs } = args;
+      const unconfirmed = await this.confirmToolCall(
+        tool,
+        callArgs,
+        confirmationToken,
+        requestId,
+        context
+      );
+      if (unconfirmed) {
+        return unconfirmed;
+      }
+      args = callArgs;
+    }
+
+    // Shutdown waits for the upstream call to finish
+    return await this.shutdownCoordinator.track(
+      this.executeApiCall(
+        path,
+        method,
+        args,
+        requestId,
+        parameters,
+        tool.metadata.security,
+        context.upstreamToken
+      )
+    );
+  }
+
+  /**
+   * Ask the user to confirm a call that changes data, showing the resolved request. Clients
+   * that support elicitation ask directly. Others receive a token, and the call only goes ahead
+   * when it is repeated with the same arguments and that token.
+   * @param {Object} tool - Tool being called
+   * @param {Object} args - Tool arguments, without the token
+   * @param {string} confirmationToken - Token sent with a repeated call
+   * @param {string} requestId - Correlation ID for logging
+   * @param {Object} context - Caller details, see callTool
+   * @returns {Promise<Object|null>} Tool result to return instead, or null once confirmed
+   */
+  async confirmToolCall(tool, args, confirmationToken, requestId, context) {
+    const { path, method, parameters } = tool.metadata;
+    const clientKey = context.clientKey || 'local';
+
+    if (confirmationToken !== undefined) {
+      if (this.confirmations.redeemToken(confirmationToken, tool.name, args, clientKey)) {
+        this.logger.info(`Call to tool ${tool.name} confirmed with a token`, { requestId });
+        return null;
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `The confirmation token is invalid, expired or was issued for other arguments. Call ${tool.name} without ${CONFIRMATION_ARGUMENT} to request a new one.`,
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    let request;
+    try {
+      request = buildRequest({
+        baseUrl: this.getBaseUrl(path, method),
+        path,
+        method,
+        args,
+        parameters,
+      });
+    } catch (error) {
+      return { content: [{ type: 'text', text: error.message }], isError: true };
+    }
+    const description = describeRequest({ method, url: request.url, body: request.body });
+
+    if (context.elicit) {
+      let result;
+      try {
+        result = await context.elicit(this.confirmations.elicitation(tool.name, description));
+      } catch (error) {
+        this.logger.warn(`Confirmation request for tool ${tool.name} failed`, {
+          requestId,
+          error: error.message,
+        });
+      }
+
+      if (this.confirmations.isAccepted(result)) {
+        this.logger.info(`Call to tool ${tool.name} confirmed by the user`, { requestId });
+        return null;
+      }
+
+      this.logger.info(`Call to tool ${tool.name} was not confirmed`, {
+        requestId,
+        action: result?.action,
+      });
+      return {
+        content: [
+          { type: 'text', text: `The user did not confirm the request:\n\n${description}` },
+        ],
+        isError: true,
+      };
+    }
+
+    const token = this.confirmations.issueToken(tool.name, args, clientKey);
+    const minutes = Math.ceil(this.confirmations.timeout / 60000);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Confirmation required. This request changes data:\n\n${description}\n\nShow it to the user. If they approve, call ${tool.name} again with the same arguments and ${CONFIRMATION_ARGUMENT} set to "${token}". The token expires in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        },
+      ],
+    };
+  }
+
+  // Method to execute API calls for tools
+  async executeApiCall(
+    path,
+    method,
+    args,
+    requestId = createCorrelationId(),
+    parameters = [],
+    security = this.securityResolver.requirementsFor(),
+    upstreamToken = undefined
+  ) {
+    try {
+      const { url, options, body } = buildRequest({
+        baseUrl: this.getBaseUrl(path, method),
+        path,
+        method,
+        args,
+        parameters,
+      });
+
+      this.logger.info(`API call: ${method} ${url}`, { requestId });
+
+      if (body) {
+        this.logger.debug(`Request body`, {
+          body,
+          requestId,
+        });
+      }
+
+      // Make the API call, with credentials added after logging so they never reach the logs
+      const startTime = Date.now();
+      const response = await this.securityResolver.send(security, url, options, upstreamToken);
+      const duration = Date.now() - startTime;
+
+      if (!response.ok) {
+        throw new ApiError(
+          `API responded with ${response.status}: ${response.statusText}`,
+          response.status
+        );
+      }
+
+      const responseData = response.status === 204 ? null : await response.json();
+
+      this.logger.info(`API response: ${response.status}`, {
+        statusCode: response.status,
+        duration: `${duration}ms`,
+        requestId,
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(responseData, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      // Errors such as failed connections quote the request URL, which may carry an API key
+      error.message = this.securityResolver.redact(error.message);
+      error.stack = error.stack && this.securityResolver.redact(error.stack);
+      this.logger.error(`Error executing API call`, error, requestId);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error executing API call: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  async buildTools() {
+    const createdTools = [];
+    let excluded = 0;
+    const resolver = new SchemaResolver(this.schemas, this.swaggerSpec);
+
+    // Process each path and method in the Swagger spec to create tools
+    for (const [path, pathItem] of Object.entries(this.paths)) {
+      for (const [method, operation] of Object.entries(pathItem)) {
+        // Skip non-HTTP methods
+        if (!['get', 'post', 'put', 'delete', 'patch'].includes(method)) {
+          continue;
+        }
+
+        // Create a tool name based on operation ID or path
+        const operationId = toolName(path, method, operation);
+
+        const reason = this.toolFilter.exclusionReason({
+          name: operationId,
+          method,
+          path,
+          tags: operation.tags || [],
+        });
+        if (reason) {
+          this.logger.debug(`Not exposing ${method.toUpperCase()} ${path} as a tool: ${reason}`);
+          excluded += 1;
+          continue;
+        }
+
+        // Create an input schema based on parameters and request body
+        const properties = {};
+        const required = [];
+
+        // Operation parameters override path-level parameters with the same name and location
+        const operationParameters = (operation.parameters || []).map(p => resolver.dereference(p));
+        const pathParameters = (pathItem.parameters || [])
+          .map(p => resolver.dereference(p))
+          .filter(p => !operationParameters.some(op => op.name === p.name && op.in === p.in));
+        const parameters = [...pathParameters, ...operationParameters];
+
+        // Header and cookie parameters are grouped so they cannot collide with other arguments
+        const groups = {
+          header: { key: 'headers', properties: {}, required: [] },
+          cookie: { key: 'cookies', properties: {}, required: [] },
+        };
+        const parameterDescriptors = [];
+
+        // Process path, query, header and cookie parameters
+        if (parameters.length > 0) {
+          parameters.forEach(param => {
+            if (!['path', 'query', 'header', 'cookie'].includes(param.in)) {
+              return;
+            }
+
+            // Accept, Content-Type and Authorization headers are controlled by the server
+            if (
+              param.in === 'header' &&
+              IGNORED_HEADER_PARAMETERS.includes(param.name.toLowerCase())
+            ) {
+              return;
+            }
+
+            // API keys of the security schemes are added by the server and never exposed
+            if (this.securityResolver.isCredentialParameter(param)) {
+              return;
+            }
+
+            const paramSchema = SchemaConverter.toJsonSchema(resolver.resolve(param.schema)) || {};
+            const defaultDescription = `${param.name} ${PARAMETER_DESCRIPTIONS[param.in]}`;
+
+            const propSchema = {
+              ...paramSchema,
+              description: param.description || paramSchema.description || defaultDescription,
+            };
+
+            // Parameters without any type information are sent as strings
+            if (!paramSchema.type && !hasTypeKeywords(paramSchema)) {
+              propSchema.type = 'string';
+            }
+
+            if (param.deprecated) {
+              propSchema.deprecated = true;
+            }
+
+            const group = groups[param.in];
+            if (group) {
+              group.properties[param.name] = propSchema;
+              if (param.required) {
+                group.required.push(param.name);
+              }
+            } else {
+              properties[param.name] = propSchema;
+              if (param.required) {
+                required.push(param.name);
+              }
+            }
+
+            // Serialization rules are kept so the request builder can honour them
+            const descriptor = { name: param.name, in: param.in };
+            if (param.style) {
+              descriptor.style = param.style;
+            }
+            if (param.explode !== undefined) {
+              descriptor.explode = param.explode;
+            }
+            parameterDescriptors.push(descriptor);
+          });
+        }
+
+        Object.entries(groups).forEach(([location, group]) => {
+          if (Object.keys(group.properties).length === 0) {
+            return;
+          }
+
+          properties[group.key] = {
+            type: 'object',
+            description: `${location === 'header' ? 'HTTP headers' : 'Cookies'} sent with the request`,
+            properties: group.properties,
+            additionalProperties: false,
+          };
+
+          if (group.required.length > 0) {
+            properties[group.key].required = group.required;
+            required.push(group.key);
+          }
+        });
+
+        // Process request body, sent as JSON when the operation accepts it, otherwise as a form
+        if (operation.requestBody) {
+          const content = resolver.dereference(operation.requestBody).content || {};
+          const mediaType = BODY_MEDIA_TYPES.find(type => content[type]);
+
+          if (mediaType) {
+            const bodySchema = resolver.collectProperties(content[mediaType].schema);
+            const isForm = mediaType !== 'application/json';
+
+            // Files cannot be passed as tool arguments
+            if (isForm && Object.values(bodySchema.properties).some(isBinarySchema)) {
+              this.logger.warn(
+                `Not exposing ${method.toUpperCase()} ${path} as a tool: file uploads are not supported`
+              );
+              continue;
+            }
+
+            // Add body properties to the input schema
+            Object.entries(bodySchema.properties).forEach(([propName, propSchema]) => {
+              const jsonSchema = SchemaConverter.toJsonSchema(propSchema);
+              properties[propName] = {
+                ...jsonSchema,
+                description: jsonSchema.description || propName,
+              };
+
+              // Form fields tell the request builder how to encode the body
+              if (isForm) {
+                parameterDescriptors.push({
+                  name: propName,
+                  in: 'formData',
+                  contentType: mediaType,
+                });
+              }
+            });
+
+            // Add required properties
+            bodySchema.required.forEach(prop => {
+              if (!required.includes(prop)) {
+                required.push(prop);
+              }
+            });
+          }
+        }
+
+        // Create tool input schema
+        const inputSchema = {
+          type: 'object',
+          properties,
+          required: required.length > 0 ? required : undefined,
+        };
+
+        // Metadata used by the request builder to place each argument in the request
+        const metadata = {
+          path,
+          method,
+          tags: operation.tags || [],
+          parameters: parameterDescriptors,
+          // Alternative security requirements, satisfied from the configured credentials
+          security: this.securityResolver.requirementsFor(operation),
+        };
+
+        const tool = {
+          name: operationId,
+          description:
+            operation.summary || operation.description || `${method.toUpperCase()} ${path}`,
+          inputSchema,
+          metadata,
+        };
+
+        // Clients without elicitation repeat confirmed calls with the token they were given
+        if (this.confirmations.isRequired(tool)) {
+          properties[CONFIRMATION_ARGUMENT] = {
+            type: 'string',
+            description:
+              'Token from a previous call to this tool, sent once the user has confirmed the request',
+          };
+        }
+
+        // Keep track of the tools for reference
+        createdTools.push(tool);
+      }
+    }
+
+    this.tools = createdTools;
+    if (excluded > 0) {
+      this.logger.info(`Excluded ${excluded} operations by the tool filter`);
+    }
+    this.registerHandlers(this.server);
+    console.error(`[SwaggerMCP] Created ${createdTools.length} tools from Swagger specification`);
+  }
+
+  /**
+   * Register the documentation resources and generated tools on an McpServer
+   * @param {McpServer} server - Server to register on
+   */
+  registerHandlers(server) {
+    // Register a resource for the Swagger documentation itself
+    server.resource('swagger-documentation', DOCUMENTATION_URI, async uri =>
+      this.readResource(uri.href)
+    );
+
+    // Then register a resource template for exploring specific endpoints
+    server.resource(
+      'endpoint-info',
+      new ResourceTemplate(ENDPOINT_URI_TEMPLATE, { list: undefined }),
+      async uri => this.readResource(uri.href)
+    );
+
+    for (const tool of this.tools) {
+      server.tool(
+        tool.name,
+        tool.inputSchema,
+        async args => {
+          return await this.callTool(tool.name, args);
+        },
+        { description: tool.description }
+      );
+    }
+
+    this.setupToolHandlers(server);
+  }
+
+  /**
+   * Build the Markdown overview of every documented endpoint
+   * @returns {string} Documentation text
+   */
+  getDocumentationText() {
+    return `# CoreDataStore API Documentation\n\nThis MCP server provides access to the CoreDataStore API through tools generated from its Swagger specification.\n\n## Available Endpoints\n\nThe following endpoints are available as MCP tools:\n\n${Object.entries(
+      this.paths
+    )
+      .map(([path, pathItem]) => [path, this.exposedOperations(path, pathItem)])
+      .filter(([, operations]) => operations.length > 0)
+      .map(([path, operations]) => {
+        return `- ${path}\n  ${operations
+          .map(
+            ([method, op]) =>
+              `  - ${method.toUpperCase()}: ${op.summary || op.description || 'No description'}`
+          )
+          .join('\n  ')}`;
+      })
+      .join('\n\n')}`;
+  }
+
+  /**
+   * Get the operations of a path that are exposed as tools, so the documentation resources
+   * never describe operations the tool filter excludes
+   * @param {string} path - Path template
+   * @param {Object} pathItem - Path item from the specification
+   * @returns {Array<Array>} [method, operation] pairs
+   */
+  exposedOperations(path, pathItem = {}) {
+    return Object.entries(pathItem).filter(
+      ([method, operation]) =>
+        ['get', 'post', 'put', 'delete', 'patch'].includes(method) &&
+        this.toolFilter.includes({
+          name: toolName(path, method, operation),
+          method,
+          path,
+          tags: operation.tags || [],
+        })
+    );
+  }
+
+  /**
+   * Build the Markdown description of a single path
+   * @param {string} path - Path without its leading slash, or its first segment
+   * @returns {string} Endpoint description
+   */
+  getEndpointInfoText(path) {
+    const candidates = path.includes('/')
+      ? [`/${path}`]
+      : Object.keys(this.paths).filter(p => p.split('/')[1] === path);
+    const operations = candidates
+      .map(p => this.exposedOperations(p, this.paths[p]))
+      .find(exposed => exposed.length > 0);
+
+    if (!operations) {
+      return `# Unknown Path\n\nNo information available for path: ${path}`;
+    }
+
+    const methodsText = operations
+      .map(([method, op]) => {
+        const paramsText = op.parameters
+          ? '\n\n### Parameters\n' +
+            op.parameters
+              .map(
+                p =>
+                  `- \`${p.name}\` (${p.in}) ${p.required ? '(required)' : ''}: ${p.description || 'No description'}`
+              )
+              .join('\n')
+          : '';
+
+        return `## ${method.toUpperCase()}\n\n${op.summary || ''}\n\n${op.description || 'No detailed description available.'}${paramsText}`;
+      })
+      .join('\n\n---\n\n');
+
+    return `# Path: ${path}\n\n${methodsText}`;
+  }
+
+  /**
+   * Read a documentation resource
+   * @param {string} uri - Resource URI
+   * @returns {Object} Resource contents
+   */
+  readResource(uri) {
+    if (uri === DOCUMENTATION_URI) {
+      return { contents: [{ uri, text: this.getDocumentationText() }] };
+    }
+
+    if (uri.startsWith(RESOURCE_SCHEME)) {
+      return {
+        contents: [{ uri, text: this.getEndpointInfoText(uri.slice(RESOURCE_SCHEME.length)) }],
+      };
+    }
+
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+  }
+
+  /**
+   * List the generated tools in the shape MCP clients expect
+   * @param {Object} auth - Authenticated caller; only the tools its scopes allow are listed
+   * @returns {{tools: Array<Object>}} Tool names, descriptions and input schemas
+   */
+  listTools(auth) {
+    return {
+      tools: this.accessibleTools(auth).map(({ name, description, inputSchema }) => ({
+        name,
+        description,
+        inputSchema,
+      })),
+    };
+  }
+
+  /**
+   * Get the tools a caller may use
+   * @param {Object} auth - Authenticated caller
+   * @returns {Array<Object>} Tools
+   */
+  accessibleTools(auth) {
+    return this.tools.filter(tool => this.canAccessTool(tool, auth));
+  }
+
+  /**
+   * Create an McpServer for a single client session. An McpServer can only be connected to
+   * one transport, so every SSE and Streamable HTTP session gets its own.
+   * @returns {McpServer} Server with all resources and tools registered
+   */
+  createSessionServer() {
+    const server = new McpServer(SERVER_INFO);
+    this.registerHandlers(server);
+    return server;
+  }
+
+  /**
+   * Serve tools/list and tools/call from the generated JSON Schemas. McpServer only understands
+   * zod shapes, so its default handlers are replaced once every tool has been registered.
+   * @param {McpServer} server - Server to install the handlers on
+   */
+  setupToolHandlers(server = this.server) {
+    server.server.registerCapabilities({ tools: {} });
+
+    server.server.setRequestHandler(ListToolsRequestSchema, (request, extra) =>
+      this.listTools(this.sessions.get(extra?.sessionId)?.auth)
+    );
+
+    server.server.setRequestHandler(CallToolRequestSchema, (request, extra) => {
+      this.sessions.recordCall(extra?.sessionId);
+      const session = this.sessions.get(extra?.sessionId);
+      // Confirmation requests go out on the stream of the call they belong to
+      const elicit = server.server.getClientCapabilities?.()?.elicitation
+        ? params =>
+            extra.sendRequest({ method: 'elicitation/create', params }, ResultSchema, {
+              timeout: this.confirmations.timeout,
+            })
+        : undefined;
+      return this.callTool(request.params.name, request.params.arguments || {}, undefined, {
+        clientKey: session?.clientKey,
+        auth: session?.auth,
+        upstreamToken: session?.upstreamToken,
+        elicit,
+      });
+    });
+  }
+
+  startExpressServer() {
+    // Simple health check endpoint
+    this.app.get('/health', (req, res) => {
+      res.json({ status: 'OK', tools: this.tools.length });
+    });
+
+    // Add tools endpoint to expose available tools
+    this.app.get('/tools', (req, res) => {
+      res.json({ tools: this.accessibleTools(req.auth) });
+    });
+
+    // Effective settings, with secrets redacted
+    this.app.get('/config', (req, res) => {
+      res.json(redactConfig(this.config));
+    });
+
+    // GET opens a server-to-client stream and DELETE ends a Streamable HTTP session
+    this.app.get('/mcp', async (req, res) => {
+      await this.handleStreamableHttpRequest(req, res);
+    });
+    this.app.delete('/mcp', async (req, res) => {
+      await this.handleStreamableHttpRequest(req, res);
+    });
+
+    // Create a dedicated MCP endpoint with a handler function
+    this.app.post('/mcp', async (req, res) => {
+      // Streamable HTTP clients are handed to the transport, plain JSON-RPC posts are served here
+      if (this.isStreamableHttpRequest(req)) {
+        await this.handleStreamableHttpRequest(req, res);
+        return;
+      }
+
+      try {
+        const requestId = createCorrelationId();
+        const context = {
+          clientKey: this.getClientKey(req),
+          auth: req.auth,
+          upstreamToken: this.getUpstreamToken(req),
+        };
+
+        let outcome;
+        if (Array.isArray(req.body)) {
+          this.logger.info('Received MCP batch request', {
+            requestId,
+            size: req.body.length,
+            methods: req.body.map(message => message?.method),
+          });
+          outcome = await this.handleJsonRpcBatch(req.body, requestId, context);
+        } else {
+          this.logger.info('Received MCP request', {
+            requestId,
+            method: req.body?.method,
+            params: req.body?.params ? sanitizeData(req.body.params) : null,
+          });
+          outcome = await this.handleJsonRpcMessage(req.body, requestId, context);
+        }
+
+        // Notifications, and batches of only notifications, are acknowledged without a body
+        if (!outcome) {
+          res.status(202).end();
+          return;
+        }
+
+        res.status(outcome.status).json(outcome.body);
+      } catch (error) {
+        console.error('[SwaggerMCP] MCP request error:', error);
+        res.status(500).json({
+          jsonrpc: '2.0',
+          error: {
+            code: -32000,
+            message: error.message || 'Internal error',
+          },
+          id: req.body?.id || null,
+        });
+      }
+    });
+
+    // Start the server
+    return new Promise((resolve, reject) => {
+      this.httpServer = this.app.listen(this.port, error => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        this.logger.info(`API Server listening on port ${this.httpServer.address()?.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Handle one JSON-RPC message posted as plain JSON to /mcp. The standard MCP methods are
+   * supported, along with the legacy `mcp.listTools` and `mcp.callTool` names.
+   * @param {Object} message - JSON-RPC request or notification
+   * @param {string} requestId - Correlation ID for logging
+   * @param {Object} context - Caller details, passed on to callTool
+   * @returns {Promise<{status: number, body: Object}|null>} HTTP status and response body,
+   *   or null for notifications
+   */
+  async handleJsonRpcMessage(message, requestId = createCorrelationId(), context = {}) {
+    const id = message?.id ?? null;
+    const result = value => ({ status: 200, body: { jsonrpc: '2.0', result: value, id } });
+    const error = (code, errorMessage, status = 200, data) => ({
+      status,
+      body: {
+        jsonrpc: '2.0',
+        error: { code, message: errorMessage, ...(data !== undefined && { data }) },
+        id,
+      },
+    });
+
+    // Basic validation
+    if (message?.jsonrpc !== '2.0' || typeof message.method !== 'string' || !message.method) {
+      return error(-32600, 'Invalid Request', 400);
+    }
+
+    const method = LEGACY_METHOD_ALIASES[message.method] || message.method;
+    const params = message.params || {};
+
+    // Requests without an id are notifications, e.g. notifications/initialized
+    if (!('id' in message)) {
+      this.logger.debug(`Received notification: ${method}`, { requestId });
+      return null;
+    }
+
+    switch (method) {
+      case 'initialize':
+        return result(this.initialize(params));
+
+      case 'ping':
+        return result({});
+
+      case 'tools/list':
+        return result(this.listTools(context.auth));
+
+      case 'tools/call': {
+        if (!params.name) {
+          return error(-32602, 'Invalid params: missing tool name', 400);
+        }
+
+        // Execute the tool call through the same pipeline as the other transports, which also
+        // answers unknown tools and tools outside the caller's scopes
+        try {
+          return result(
+            await this.callTool(params.name, params.arguments || {}, requestId, context)
+          );
+        } catch (err) {
+          this.logger.error('Tool execution error', err, requestId);
+          return error(err.code || -32000, err.message || 'Error executing tool', 200, err.data);
+        }
+      }
+
+      case 'resources/list':
+        return result({
+          resources: [
+            {
+              uri: DOCUMENTATION_URI,
+              name: 'swagger-documentation',
+              description: 'Overview of the CoreDataStore API endpoints',
+              mimeType: 'text/markdown',
+            },
+          ],
+        });
+
+      case 'resources/templates/list':
+        return result({
+          resourceTemplates: [
+            {
+              uriTemplate: ENDPOINT_URI_TEMPLATE,
+              name: 'endpoint-info',
+              description: 'Details of a single API path',
+              mimeType: 'text/markdown',
+            },
+          ],
+        });
+
+      case 'resources/read':
+        if (!params.uri) {
+          return error(-32602, 'Invalid params: missing resource uri', 400);
+        }
+        try {
+          return result(this.readResource(params.uri));
+        } catch (err) {
+          return error(err.code || -32000, err.message);
+        }
+
+      case 'prompts/list':
+        return result({ prompts: [] });
+
+      default:
+        return error(-32601, `Method not found: ${message.method}`);
+    }
+  }
+
+  /**
+   * Handle a JSON-RPC batch. Requests run concurrently up to the configured limit, responses
+   * keep the order of their requests and notifications produce no response entry.
+   * @param {Array<Object>} messages - JSON-RPC requests and notifications
+   * @param {string} requestId - Correlation ID for logging
+   * @param {Object} context - Caller details, passed on to callTool
+   * @returns {Promise<{status: number, body: Object|Array<Object>}|null>} HTTP status and
+   *   response body, or null if the batch only contained notifications
+   */
+  async handleJsonRpcBatch(messages, requestId = createCorrelationId(), context = {}) {
+    const { maxSize, concurrency } = this.batchOptions;
+    const invalid = message => ({
+      status: 400,
+      body: { jsonrpc: '2.0', error: { code: -32600, message }, id: null },
+    });
+
+    if (messages.length === 0) {
+      return invalid('Invalid Request: empty batch');
+    }
+
+    if (messages.length > maxSize) {
+      return invalid(
+        `Invalid Request: batch of ${messages.length} exceeds the limit of ${maxSize}`
+      );
+    }
+
+    const limited = this.limitBatchToolCalls(messages, context.clientKey);
+    const outcomes = await mapWithConcurrency(messages, concurrency, message =>
+      limited.has(message)
+        ? limited.get(message)
+        : this.handleJsonRpcMessage(message, requestId, context)
+    );
+    const responses = outcomes.filter(Boolean).map(outcome => outcome.body);
+
+    return responses.length > 0 ? { status: 200, body: responses } : null;
+  }
+
+  /**
+   * Count the tool calls of a batch against the client's rate limit. The request itself paid for
+   * one call, each further call is counted like a request of its own.
+   * @param {Array<Object>} messages - JSON-RPC requests and notifications
+   * @param {string} clientKey - Client sending the batch, see getClientKey
+   * @returns {Map<Object, Object>} Error outcomes for the calls over the limit, by message
+   */
+  limitBatchToolCalls(messages, clientKey) {
+    const limited = new Map();
+    if (!this.rateLimiter || !clientKey) {
+      return limited;
+    }
+
+    const calls = messages.filter(
+      message =>
+        message &&
+        'id' in message &&
+        (LEGACY_METHOD_ALIASES[message.method] || message.method) === 'tools/call'
+    );
+
+    for (const message of calls.slice(1)) {
+      const outcome = this.rateLimiter.consume(clientKey);
+      if (outcome.allowed) {
+        continue;
+      }
+
+      limited.set(message, {
+        status: 429,
+        body: {
+          jsonrpc: '2.0',
+          error: {
+            code: -32000,
+            message: `Rate limit exceeded, retry in ${outcome.retryAfter} seconds`,
+            data: { retryAfter: outcome.retryAfter },
+          },
+          id: message.id ?? null,
+        },
+      });
+    }
+
+    if (limited.size > 0) {
+      this.logger.warn(`Rate limit exceeded for ${clientKey}`, {
+        rejectedCalls: limited.size,
+      });
+    }
+    return limited;
+  }
+
+  /**
+   * Answer the initialize handshake, agreeing on a protocol version the server supports
+   * @param {Object} params - Initialize parameters from the client
+   * @returns {Object} Initialize result
+   */
+  initialize(params = {}) {
+    const { protocolVersion, clientInfo } = params;
+
+    this.logger.info('MCP client initialized', {
+      client: clientInfo?.name,
+      clientVersion: clientInfo?.version,
+      protocolVersion,
+    });
+
+    return {
+      // Echo the client's version when supported, otherwise offer the latest one
+      protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)
+        ? protocolVersion
+        : LATEST_PROTOCOL_VERSION,
+      capabilities: SERVER_CAPABILITIES,
+      serverInfo: SERVER_INFO,
+    };
+  }
+
+  /**
+   * Check whether a POST to /mcp comes from a Streamable HTTP client. Such clients either
+   * carry a session ID or accept an event stream response, as the transport requires.
+   * @param {Object} req - Express request
+   * @returns {boolean} True if the request belongs to the Streamable HTTP transport
+   */
+  isStreamableHttpRequest(req) {
+    const headers = req.headers || {};
+    return Boolean(headers['mcp-session-id']) || /text\/event-stream/.test(headers.accept || '');
+  }
+
+  /**
+   * Route a request to its Streamable HTTP session, creating the session on initialize
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async handleStreamableHttpRequest(req, res) {
+    const sessionId = req.headers?.['mcp-session-id'];
+
+    try {
+      const session = sessionId ? this.sessions.get(sessionId) : undefined;
+      let transport = session?.transport;
+
+      if (!transport) {
+        if (sessionId || req.method !== 'POST' || !isInitializeRequest(req.body)) {
+          // Unknown sessions get 404 so clients know to start a new one
+          res.status(sessionId ? 404 : 400).json({
+            jsonrpc: '2.0',
+            error: {
+              code: -32000,
+              message: sessionId
+                ? 'Session not found'
+                : 'Bad Request: No valid session ID provided',
+            },
+            id: null,
+          });
+          return;
+        }
+
+        if (this.sessions.isFull()) {
+          this.rejectSessionLimit(res);
+          return;
+        }
+
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          eventStore: new EventStore(),
+          onsessioninitialized: id => {
+            this.sessions.add(id, {
+              type: 'streamable',
+              transport,
+              clientKey: this.getClientKey(req),
+              auth: req.auth,
+              upstreamToken: this.getUpstreamToken(req),
+            });
+            this.logger.info(`Created new Streamable HTTP session with ID: ${id}`);
+          },
+        });
+
+        // Connecting replaces the transport's onclose, so listen on the session's server instead
+        const sessionServer = this.createSessionServer();
+        sessionServer.server.onclose = () => {
+          if (transport.sessionId && this.sessions.remove(transport.sessionId)) {
+            this.logger.info(`Streamable HTTP session closed for ID: ${transport.sessionId}`);
+          }
+        };
+
+        await sessionServer.connect(transport);
+      } else {
+        if (!this.isSessionOwner(session, req)) {
+          sendAuthError(
+            req,
+            res,
+            new AuthError('Forbidden: session belongs to another client', 403)
+          );
+          return;
+        }
+        this.sessions.touch(sessionId);
+        // Clients may present a renewed token on any request of their session
+        session.upstreamToken = this.getUpstreamToken(req) ?? session.upstreamToken;
+      }
+
+      // The transport answers a batch as a whole, so one call over the limit refuses all of them
+      if (Array.isArray(req.body)) {
+        const clientKey = session?.clientKey ?? this.getClientKey(req);
+        const [limited] = this.limitBatchToolCalls(req.body, clientKey).values();
+        if (limited) {
+          res.set('Retry-After', String(limited.body.error.data.retryAfter));
+          res.status(limited.status).json({ ...limited.body, id: null });
+          return;
+        }
+      }
+
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      this.logger.error('Streamable HTTP request error', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          jsonrpc: '2.0',
+          error: {
+            code: -32603,
+            message: 'Internal server error',
+          },
+          id: null,
+        });
+      }
+    }
+  }
+
+  /**
+   * Refuse a new session because the session limit has been reached
+   * @param {Object} res - Express response
+   */
+  rejectSessionLimit(res) {
+    this.logger.warn(`Rejected new session: limit of ${this.sessions.maxSessions} reached`);
+    res.status(503).json({
+      jsonrpc: '2.0',
+      error: {
+        code: -32000,
+        message: 'Too many active sessions, try again later',
+      },
+      id: null,
+    });
+  }
+
+  // Setup SSE endpoints for remote clients
+  setupSSEEndpoints() {
+    // Set up the SSE endpoint to establish client connections
+    this.app.get('/sse', async (req, res) => {
+      this.logger.info('New SSE connection request received');
+
+      if (this.sessions.isFull()) {
+        this.rejectSessionLimit(res);
+        return;
+      }
+
+      const transport = new SSEServerTransport('/messages', res);
+      this.sessions.add(transport.sessionId, {
+        type: 'sse',
+        transport,
+        clientKey: this.getClientKey(req),
+        auth: req.auth,
+        upstreamToken: this.getUpstreamToken(req),
+        // SSE comments keep proxies and load balancers from dropping quiet connections
+        keepAlive: () => res.write(': keep-alive\n\n'),
+      });
+
+      this.logger.info(`Created new SSE transport with ID: ${transport.sessionId}`);
+
+      // Remove transport when connection closes
+      res.on('close', () => {
+        this.logger.info(`SSE connection closed for ID: ${transport.sessionId}`);
+        this.sessions.remove(transport.sessionId);
+      });
+
+      // Connect the transport to a server of its own
+      await this.createSessionServer().connect(transport);
+    });
+
+    // Handle messages from clients
+    this.app.post('/messages', async (req, res) => {
+      const sessionId = req.query.sessionId;
+      this.logger.info(`Received message for session: ${sessionId}`);
+
+      const session = this.sessions.get(sessionId);
+      if (session?.type === 'sse') {
+        if (!this.isSessionOwner(session, req)) {
+          sendAuthError(
+            req,
+            res,
+            new AuthError('Forbidden: session belongs to another client', 403)
+          );
+          return;
+        }
+        this.sessions.touch(sessionId);
+        await session.transport.handlePostMessage(req, res, req.body);
+      } else {
+        this.logger.error(`No transport found for sessionId: ${sessionId}`);
+        res.status(400).json({
+          jsonrpc: '2.0',
+          error: {
+            code: -32000,
+            message: 'Invalid or missing session ID',
+          },
+          id: null,
+        });
+      }
+    });
+
+    // Admin view of the active sessions
+    this.app.get('/sessions', (req, res) => {
+      res.json({
+        count: this.sessions.size,
+        maxSessions: this.sessions.maxSessions,
+        sessions: this.sessions.list(),
+      });
+    });
+
+    this.logger.info('SSE endpoints configured for remote client access');
+  }
+}
+
+// Add the run method directly in the class
+SwaggerMCPServer.prototype.run = async function () {
+  if (!TRANSPORTS.includes(this.transportType)) {
+    throw new Error(
+      `Unsupported transport: ${this.transportType}. Expected one of: ${TRANSPORTS.join(', ')}`
+    );
+  }
+
+  if (this.standalone) {
+    // SIGINT from a terminal, SIGTERM from Docker, Kubernetes and Cloud Run
+    this.shutdownCoordinator.listen(['SIGINT', 'SIGTERM']);
+  }
+
+  if (this.transportType === 'stdio') {
+    // stdout carries the protocol, so nothing else may be written to it
+    setConsoleToStderr(true);
+
+    await this.init();
+    await this.server.connect(new StdioServerTransport());
+
+    // The client closing our stdin means it has gone away
+    process.stdin.on('end', () => this.shutdownCoordinator.shutdown('stdin closed'));
+
+    console.error('[SwaggerMCP] Server is running with stdio transport');
+    return;
+  }
+
+  // Initialize the server first
+  await this.init();
+
+  // Setup SSE endpoints for remote clients
+  this.setupSSEEndpoints();
+
+  // Now server should be running
+  console.error('[SwaggerMCP] Server is running with SSE transport enabled');
+};
+
+/**
+ * Create a server without starting it; call `run()` to start
+ * @param {Object} options - Server options, see the SwaggerMCPServer constructor
+ * @returns {SwaggerMCPServer} Server instance
+ */
+export function createServer(options = {}) {
+  return new SwaggerMCPServer(options);
+}
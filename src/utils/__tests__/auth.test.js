@@ -0,0 +1,299 @@
+/**
+ * Tests for inbound authentication
+ */
+import { jest } from '@jest/globals';
+import { createHmac, generateKeyPairSync, sign } from 'node:crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConfigError } from '../../config/index.js';
+import {
+  AuthError,
+  Authenticator,
+  canUseTool,
+  createAuthMiddleware,
+  hasScope,
+  hashApiKey,
+} from '../auth.js';
+
+const NOW = Date.UTC(2026, 0, 1);
+const SECONDS = NOW / 1000;
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const hmacToken = (claims, secret = 'shared-secret', header = { alg: 'HS256', typ: 'JWT' }) => {
+  const data = `${encode(header)}.${encode(claims)}`;
+  return `${data}.${createHmac('sha256', secret).update(data).digest('base64url')}`;
+};
+
+const signedToken = (claims, privateKey, header) => {
+  const data = `${encode(header)}.${encode(claims)}`;
+  const hash = header.alg === 'RS256' || header.alg === 'ES256' ? 'sha256' : 'sha384';
+  const signature = sign(hash, Buffer.from(data), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${data}.${signature.toString('base64url')}`;
+};
+
+const withHeaders = headers => ({ headers });
+
+describe('scopes', () => {
+  const tool = { name: 'getLpcReports', metadata: { tags: ['Reports'] } };
+
+  test('hasScope should accept the scope or the wildcard', () => {
+    expect(hasScope(['admin'], 'admin')).toBe(true);
+    expect(hasScope(['*'], 'admin')).toBe(true);
+    expect(hasScope(['tools:*'], 'admin')).toBe(false);
+  });
+
+  test('canUseTool should match all tools, a tool name or a tag', () => {
+    expect(canUseTool(['tools:*'], tool)).toBe(true);
+    expect(canUseTool(['tools:getLpcReports'], tool)).toBe(true);
+    expect(canUseTool(['tags:Reports'], tool)).toBe(true);
+    expect(canUseTool(['tools:getBuildings', 'tags:Buildings', 'admin'], tool)).toBe(false);
+    expect(canUseTool([], tool)).toBe(false);
+  });
+});
+
+describe('Authenticator', () => {
+  let tempDir;
+  let ecKeys;
+  let rsaKeys;
+  let jwksFile;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swagger-mcp-auth-'));
+    ecKeys = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    rsaKeys = generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    jwksFile = path.join(tempDir, 'jwks.json');
+    fs.writeFileSync(
+      jwksFile,
+      JSON.stringify({
+        keys: [
+          { ...ecKeys.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256' },
+          { ...rsaKeys.publicKey.export({ format: 'jwk' }), kid: 'rsa-1' },
+        ],
+      })
+    );
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('configuration', () => {
+    test('should require a way to verify credentials', () => {
+      expect(() => new Authenticator({ apiKeys: [], jwt: {} })).toThrow(ConfigError);
+    });
+
+    test('should reject keys without a SHA-256 hash', () => {
+      expect(() => new Authenticator({ apiKeys: [{ name: 'ci', hash: 'plain-key' }] })).toThrow(
+        'Invalid API key ci'
+      );
+    });
+
+    test('should read keys from a file', () => {
+      const keysFile = path.join(tempDir, 'keys.yaml');
+      fs.writeFileSync(
+        keysFile,
+        `keys:\n  - name: reporting\n    hash: ${hashApiKey('file-key')}\n    scopes: [admin]\n`
+      );
+
+      const authenticator = new Authenticator({ apiKeysFile: keysFile });
+
+      expect(authenticator.authenticate(withHeaders({ 'x-api-key': 'file-key' }))).toEqual({
+        type: 'apiKey',
+        subject: 'reporting',
+        scopes: ['admin'],
+        header: 'x-api-key',
+      });
+    });
+  });
+
+  describe('API keys', () => {
+    const authenticator = () =>
+      new Authenticator({
+        apiKeys: [
+          { name: 'inspector', hash: hashApiKey('key-1'), scopes: ['tags:Reports'] },
+          { name: 'ci', hash: hashApiKey('key-2') },
+        ],
+        defaultScopes: ['tools:*'],
+      });
+
+    test('should accept keys from X-API-Key or a bearer token', () => {
+      expect(authenticator().authenticate(withHeaders({ 'x-api-key': 'key-1' }))).toEqual({
+        type: 'apiKey',
+        subject: 'inspector',
+        scopes: ['tags:Reports'],
+        header: 'x-api-key',
+      });
+      expect(
+        authenticator().authenticate(withHeaders({ authorization: 'Bearer key-2' }))
+      ).toMatchObject({ subject: 'ci', scopes: ['tools:*'], header: 'authorization' });
+    });
+
+    test('should reject missing and unknown keys', () => {
+      expect(() => authenticator().authenticate(withHeaders({}))).toThrow(
+        'Authentication required'
+      );
+      expect(() => authenticator().authenticate(withHeaders({ 'x-api-key': 'nope' }))).toThrow(
+        new AuthError('Invalid API key')
+      );
+    });
+  });
+
+  describe('JWTs', () => {
+    const claims = { sub: 'user-1', exp: SECONDS + 60, scope: 'tools:getLpcReports admin' };
+
+    test('should verify HMAC tokens and read their scopes', () => {
+      const authenticator = new Authenticator({ jwt: { secret: 'shared-secret' } });
+
+      expect(authenticator.verifyJwt(hmacToken(claims), NOW)).toEqual({
+        type: 'jwt',
+        subject: 'user-1',
+        scopes: ['tools:getLpcReports', 'admin'],
+        claims,
+      });
+    });
+
+    test('should reject bad signatures, expired tokens and tokens without expiry', () => {
+      const authenticator = new Authenticator({ jwt: { secret: 'shared-secret' } });
+      const verifyAt =
+        (token, now = NOW) =>
+        () =>
+          authenticator.verifyJwt(token, now);
+
+      expect(verifyAt(hmacToken(claims, 'other-secret'))).toThrow('Invalid token signature');
+      expect(verifyAt(hmacToken(claims), (claims.exp + 31) * 1000)).toThrow('Token expired');
+      expect(verifyAt(hmacToken({ sub: 'user-1' }))).toThrow('Token has no expiry');
+      expect(verifyAt(hmacToken({ ...claims, nbf: SECONDS + 120 }))).toThrow('Token not yet valid');
+      expect(verifyAt(hmacToken(claims, '', { alg: 'none' }))).toThrow(
+        'Unsupported token algorithm: none'
+      );
+      expect(verifyAt('bm90-json.e30.')).toThrow('Malformed token');
+    });
+
+    test('should check the issuer and audience when configured', () => {
+      const authenticator = new Authenticator({
+        jwt: { secret: 'shared-secret', issuer: 'https://auth.example.com', audience: 'mcp' },
+      });
+      const valid = { ...claims, iss: 'https://auth.example.com', aud: ['mcp', 'other'] };
+
+      expect(authenticator.verifyJwt(hmacToken(valid), NOW).subject).toBe('user-1');
+      expect(() => authenticator.verifyJwt(hmacToken({ ...valid, iss: 'evil' }), NOW)).toThrow(
+        'Token issuer not accepted'
+      );
+      expect(() => authenticator.verifyJwt(hmacToken({ ...valid, aud: 'other' }), NOW)).toThrow(
+        'Token audience not accepted'
+      );
+    });
+
+    test('should verify EC and RSA tokens against the JWKS key named by kid', () => {
+      const authenticator = new Authenticator({ jwt: { jwksFile } });
+      const ecToken = signedToken(claims, ecKeys.privateKey, { alg: 'ES256', kid: 'ec-1' });
+      const rsaToken = signedToken(
+        { sub: 'user-1', exp: claims.exp, scopes: ['tools:*'] },
+        rsaKeys.privateKey,
+        {
+          alg: 'RS256',
+          kid: 'rsa-1',
+        }
+      );
+
+      expect(authenticator.verifyJwt(ecToken, NOW).subject).toBe('user-1');
+      expect(authenticator.verifyJwt(rsaToken, NOW).scopes).toEqual(['tools:*']);
+    });
+
+    test('should refuse algorithms the key was not meant for', () => {
+      const authenticator = new Authenticator({ jwt: { jwksFile } });
+      const publicPem = rsaKeys.publicKey.export({ type: 'spki', format: 'pem' });
+
+      // An HMAC token "signed" with the public key must not verify
+      expect(() =>
+        authenticator.verifyJwt(hmacToken(claims, publicPem, { alg: 'HS256', kid: 'rsa-1' }), NOW)
+      ).toThrow('Invalid token signature');
+      expect(() =>
+        authenticator.verifyJwt(
+          signedToken(claims, rsaKeys.privateKey, { alg: 'RS256', kid: 'ec-1' }),
+          NOW
+        )
+      ).toThrow('Invalid token signature');
+    });
+
+    test('should tell JWTs and API keys apart in bearer tokens', () => {
+      const authenticator = new Authenticator({
+        apiKeys: [{ name: 'ci', hash: hashApiKey('key-2') }],
+        jwt: { secret: 'shared-secret' },
+      });
+      const token = hmacToken({ ...claims, exp: Math.floor(Date.now() / 1000) + 60 });
+
+      expect(
+        authenticator.authenticate(withHeaders({ authorization: `Bearer ${token}` })).type
+      ).toBe('jwt');
+      expect(authenticator.authenticate(withHeaders({ authorization: 'Bearer key-2' })).type).toBe(
+        'apiKey'
+      );
+    });
+  });
+});
+
+describe('createAuthMiddleware', () => {
+  const authenticator = new Authenticator({
+    apiKeys: [
+      { name: 'inspector', hash: hashApiKey('key-1'), scopes: ['tools:*'] },
+      { name: 'ops', hash: hashApiKey('key-2'), scopes: ['admin'] },
+    ],
+  });
+
+  const createResponse = () => {
+    const res = { headers: {} };
+    res.set = jest.fn((name, value) => {
+      res.headers[name] = value;
+      return res;
+    });
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  test('should attach the caller to the request', () => {
+    const req = { headers: { 'x-api-key': 'key-1' } };
+    const next = jest.fn();
+
+    createAuthMiddleware(authenticator)(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.auth.subject).toBe('inspector');
+  });
+
+  test('should answer JSON-RPC requests without credentials with a 401 JSON-RPC error', () => {
+    const logger = { warn: jest.fn() };
+    const req = { headers: {}, originalUrl: '/mcp', body: { jsonrpc: '2.0', id: 3 } };
+    const res = createResponse();
+    const next = jest.fn();
+
+    createAuthMiddleware(authenticator, { logger })(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.headers['WWW-Authenticate']).toBe('Bearer realm="swagger-mcp"');
+    expect(res.json).toHaveBeenCalledWith({
+      jsonrpc: '2.0',
+      error: { code: -32001, message: 'Authentication required', data: { status: 401 } },
+      id: 3,
+    });
+    expect(logger.warn).toHaveBeenCalled();
+  });
+
+  test('should answer callers without the required scope with 403', () => {
+    const middleware = createAuthMiddleware(authenticator, { scope: 'admin' });
+    const denied = createResponse();
+    const allowed = jest.fn();
+
+    middleware({ headers: { 'x-api-key': 'key-1' } }, denied, jest.fn());
+    middleware({ headers: { 'x-api-key': 'key-2' } }, createResponse(), allowed);
+
+    expect(denied.status).toHaveBeenCalledWith(403);
+    expect(denied.json).toHaveBeenCalledWith({ error: 'Forbidden: requires the admin scope' });
+    expect(allowed).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Tests for the ArgumentCoercer utility
+ */
+import { ArgumentCoercer } from '../coercion.js';
+import { Validator } from '../validator.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer' },
+    ratio: { type: 'number' },
+    active: { type: 'boolean' },
+    tags: { type: 'array', items: { type: 'string' } },
+    ids: { type: 'array', items: { type: 'integer' } },
+    since: { type: 'string', format: 'date' },
+    updatedAfter: { type: 'string', format: 'date-time' },
+    name: { type: 'string' },
+    filter: {
+      type: 'object',
+      properties: { year: { type: 'integer' } },
+    },
+    headers: {
+      type: 'object',
+      properties: { 'X-Page': { type: 'integer' } },
+    },
+  },
+};
+
+describe('ArgumentCoercer', () => {
+  test('should coerce numeric and boolean strings', () => {
+    const { args, coercions } = ArgumentCoercer.coerceArguments(schema, {
+      limit: '42',
+      ratio: ' 0.5 ',
+      active: 'TRUE',
+    });
+
+    expect(args).toEqual({ limit: 42, ratio: 0.5, active: true });
+    expect(coercions).toEqual([
+      { path: '/limit', from: 'string', to: 'integer' },
+      { path: '/ratio', from: 'string', to: 'number' },
+      { path: '/active', from: 'string', to: 'boolean' },
+    ]);
+  });
+
+  test('should leave values that cannot be coerced for validation to reject', () => {
+    const { args, coercions } = ArgumentCoercer.coerceArguments(schema, {
+      limit: '4.5',
+      ratio: '12abc',
+      active: 'yes',
+    });
+
+    expect(args).toEqual({ limit: '4.5', ratio: '12abc', active: 'yes' });
+    expect(coercions).toEqual([]);
+  });
+
+  test('should wrap single values and split comma-separated strings into arrays', () => {
+    const { args } = ArgumentCoercer.coerceArguments(schema, {
+      tags: 'landmark',
+      ids: '1, 2,3',
+    });
+
+    expect(args).toEqual({ tags: ['landmark'], ids: [1, 2, 3] });
+  });
+
+  test('should coerce array items', () => {
+    const { args, coercions } = ArgumentCoercer.coerceArguments(schema, { ids: ['7', 8] });
+
+    expect(args.ids).toEqual([7, 8]);
+    expect(coercions).toEqual([{ path: '/ids/0', from: 'string', to: 'integer' }]);
+  });
+
+  test('should normalize ISO dates into values that pass validation', () => {
+    const { args } = ArgumentCoercer.coerceArguments(schema, {
+      since: '2024-03-01T10:00:00Z',
+      updatedAfter: '2024-03-01 10:00Z',
+    });
+
+    expect(args.since).toBe('2024-03-01');
+    expect(args.updatedAfter).toBe('2024-03-01T10:00:00Z');
+    expect(() => Validator.validateAll({ inputSchema: schema }, args)).not.toThrow();
+  });
+
+  test('should leave date-times without an offset for validation to reject', () => {
+    for (const updatedAfter of ['2024-03-01 10:00', '2024-03-01T10:00:00', '2024-03-01']) {
+      const { args, coercions } = ArgumentCoercer.coerceArguments(schema, { updatedAfter });
+
+      expect(args.updatedAfter).toBe(updatedAfter);
+      expect(coercions).toEqual([]);
+      expect(() => Validator.validateAll({ inputSchema: schema }, args)).toThrow();
+    }
+  });
+
+  describe('outside UTC', () => {
+    const timeZone = process.env.TZ;
+
+    beforeAll(() => {
+      process.env.TZ = 'America/New_York';
+    });
+
+    afterAll(() => {
+      if (timeZone === undefined) {
+        delete process.env.TZ;
+      } else {
+        process.env.TZ = timeZone;
+      }
+    });
+
+    test('should keep the calendar day of dates', () => {
+      const { args } = ArgumentCoercer.coerceArguments(schema, {
+        since: '2024-01-01T23:30:00-05:00',
+      });
+
+      expect(args.since).toBe('2024-01-01');
+    });
+
+    test('should keep the offset of date-times', () => {
+      const { args } = ArgumentCoercer.coerceArguments(schema, {
+        updatedAfter: '2024-01-01 10:00:00.5-0500',
+      });
+
+      expect(args.updatedAfter).toBe('2024-01-01T10:00:00.5-05:00');
+      expect(() => Validator.validateAll({ inputSchema: schema }, args)).not.toThrow();
+    });
+  });
+
+  test('should not normalize impossible dates', () => {
+    const { args, coercions } = ArgumentCoercer.coerceArguments(schema, { since: '2024-02-30' });
+
+    expect(args.since).toBe('2024-02-30');
+    expect(coercions).toEqual([]);
+  });
+
+  test('should not reinterpret free-form date strings', () => {
+    const { args, coercions } = ArgumentCoercer.coerceArguments(schema, { since: 'March 1' });
+
+    expect(args.since).toBe('March 1');
+    expect(coercions).toEqual([]);
+  });
+
+  test('should stringify numbers and booleans for string parameters', () => {
+    const { args } = ArgumentCoercer.coerceArguments(schema, { name: 1234 });
+    expect(args.name).toBe('1234');
+  });
+
+  test('should coerce nested objects such as header groups', () => {
+    const { args, coercions } = ArgumentCoercer.coerceArguments(schema, {
+      filter: { year: '1965' },
+      headers: { 'X-Page': '2' },
+    });
+
+    expect(args).toEqual({ filter: { year: 1965 }, headers: { 'X-Page': 2 } });
+    expect(coercions.map(c => c.path)).toEqual(['/filter/year', '/headers/X-Page']);
+  });
+
+  test('should not mutate the original arguments', () => {
+    const original = { limit: '1', filter: { year: '2000' } };
+    ArgumentCoercer.coerceArguments(schema, original);
+
+    expect(original).toEqual({ limit: '1', filter: { year: '2000' } });
+  });
+
+  test('should respect union types that already accept the value', () => {
+    const { args, coercions } = ArgumentCoercer.coerceArguments(
+      { properties: { id: { type: ['string', 'integer'] }, page: { type: ['integer', 'null'] } } },
+      { id: '10', page: null }
+    );
+
+    expect(args).toEqual({ id: '10', page: null });
+    expect(coercions).toEqual([]);
+  });
+
+  test('should pass through arguments when the schema has no properties', () => {
+    const args = { limit: '1' };
+    expect(ArgumentCoercer.coerceArguments({ type: 'object' }, args)).toEqual({
+      args,
+      coercions: [],
+    });
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Tests for the concurrency helpers
+ */
+import { mapWithConcurrency } from '../concurrency.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapWithConcurrency', () => {
+  test('should keep results in input order', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 3, async (ms, index) => {
+      await delay(ms);
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2]);
+  });
+
+  test('should never exceed the concurrency limit', async () => {
+    let active = 0;
+    let peak = 0;
+
+    await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(5);
+      active--;
+    });
+
+    expect(peak).toBe(2);
+  });
+
+  test('should handle empty input and invalid limits', async () => {
+    expect(await mapWithConcurrency([], 4, async x => x)).toEqual([]);
+    expect(await mapWithConcurrency([1, 2], 0, async x => x * 2)).toEqual([2, 4]);
+  });
+});
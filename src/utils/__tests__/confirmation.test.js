@@ -0,0 +1,100 @@
+/**
+ * Tests for the confirmation of tool calls that change data
+ */
+import { ConfirmationGate, describeRequest } from '../confirmation.js';
+
+const NOW = Date.UTC(2026, 0, 1);
+
+const tool = (name, method, tags = []) => ({
+  name,
+  metadata: { path: `/api/${name}`, method, tags },
+});
+
+const createGate = (options = {}) =>
+  new ConfirmationGate({
+    enabled: true,
+    require: ['method:post', 'method:delete', 'tag:Billing'],
+    skip: ['tag:Drafts'],
+    ...options,
+  });
+
+describe('describeRequest', () => {
+  test('should show the method, URL and body', () => {
+    expect(describeRequest({ method: 'get', url: 'https://api.example.com/a', body: null })).toBe(
+      'GET https://api.example.com/a'
+    );
+    expect(
+      describeRequest({ method: 'post', url: 'https://api.example.com/a', body: { id: 1 } })
+    ).toBe('POST https://api.example.com/a\n\nBody:\n{\n  "id": 1\n}');
+  });
+});
+
+describe('ConfirmationGate', () => {
+  test('should require confirmation by method and tag unless skipped', () => {
+    const gate = createGate();
+
+    expect(gate.isRequired(tool('createLandmark', 'post'))).toBe(true);
+    expect(gate.isRequired(tool('getInvoices', 'get', ['Billing']))).toBe(true);
+    expect(gate.isRequired(tool('getLandmarks', 'get'))).toBe(false);
+    expect(gate.isRequired(tool('createDraft', 'post', ['Drafts']))).toBe(false);
+    expect(createGate({ enabled: false }).isRequired(tool('createLandmark', 'post'))).toBe(false);
+  });
+
+  test('should only accept elicitations the user confirmed', () => {
+    const gate = createGate();
+
+    expect(gate.isAccepted({ action: 'accept', content: { confirm: true } })).toBe(true);
+    expect(gate.isAccepted({ action: 'accept', content: { confirm: false } })).toBe(false);
+    expect(gate.isAccepted({ action: 'decline' })).toBe(false);
+    expect(gate.isAccepted(undefined)).toBe(false);
+  });
+
+  test('should ask with a boolean form', () => {
+    const params = createGate().elicitation('deleteLandmark', 'DELETE https://example.com/1');
+
+    expect(params.message).toBe('Confirm the deleteLandmark call:\n\nDELETE https://example.com/1');
+    expect(params.requestedSchema.required).toEqual(['confirm']);
+  });
+
+  describe('tokens', () => {
+    const args = { id: 1, tags: ['a', 'b'], body: { name: 'x', borough: 'Queens' } };
+
+    test('should confirm the same call once', () => {
+      const gate = createGate();
+      const token = gate.issueToken('createLandmark', args, 'key:abc', NOW);
+      const reordered = { body: { borough: 'Queens', name: 'x' }, tags: ['a', 'b'], id: 1 };
+
+      expect(gate.redeemToken(token, 'createLandmark', reordered, 'key:abc', NOW)).toBe(true);
+      expect(gate.redeemToken(token, 'createLandmark', args, 'key:abc', NOW)).toBe(false);
+    });
+
+    test('should not confirm other calls, clients or late calls', () => {
+      const gate = createGate({ timeout: 1000 });
+      const redeem = (changes = {}) => {
+        const token = gate.issueToken('createLandmark', args, 'key:abc', NOW);
+        const call = {
+          toolName: 'createLandmark',
+          args,
+          clientKey: 'key:abc',
+          now: NOW,
+          ...changes,
+        };
+        return gate.redeemToken(token, call.toolName, call.args, call.clientKey, call.now);
+      };
+
+      expect(redeem({ toolName: 'deleteLandmark' })).toBe(false);
+      expect(redeem({ args: { ...args, id: 2 } })).toBe(false);
+      expect(redeem({ clientKey: 'key:other' })).toBe(false);
+      expect(redeem({ now: NOW + 1000 })).toBe(false);
+      expect(gate.redeemToken('unknown', 'createLandmark', args, 'key:abc', NOW)).toBe(false);
+    });
+
+    test('should forget expired tokens', () => {
+      const gate = createGate({ timeout: 1000 });
+      gate.issueToken('createLandmark', args, 'key:abc', NOW);
+      gate.issueToken('createLandmark', args, 'key:abc', NOW + 2000);
+
+      expect(gate.tokens.size).toBe(1);
+    });
+  });
+});
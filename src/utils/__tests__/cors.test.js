@@ -0,0 +1,135 @@
+/**
+ * Tests for the CORS middleware
+ */
+import { jest } from '@jest/globals';
+import { createCorsMiddleware } from '../cors.js';
+
+const createRequest = (method, headers = {}) => {
+  const lowerCased = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return { method, get: name => lowerCased[name.toLowerCase()] };
+};
+
+const createResponse = () => {
+  const res = { headers: {}, vary: jest.fn(), end: jest.fn() };
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.status = jest.fn(() => res);
+  return res;
+};
+
+const preflightHeaders = origin => ({
+  Origin: origin,
+  'Access-Control-Request-Method': 'POST',
+  'Access-Control-Request-Headers': 'content-type,mcp-session-id',
+});
+
+const options = {
+  origin: ['https://mcp.coredatastore.com', 'https://api.coredatastore.com/'],
+  credentials: true,
+  allowedHeaders: ['Content-Type', 'Mcp-Session-Id'],
+  exposedHeaders: ['Mcp-Session-Id'],
+  maxAge: 600,
+};
+
+describe('createCorsMiddleware', () => {
+  test('should pass requests without an Origin header through untouched', () => {
+    const middleware = createCorsMiddleware(options);
+    const res = createResponse();
+    const next = jest.fn();
+
+    middleware(createRequest('POST'), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.set).not.toHaveBeenCalled();
+    expect(res.vary).toHaveBeenCalledWith('Origin');
+  });
+
+  test('should allow listed origins with credentials and exposed headers', () => {
+    const middleware = createCorsMiddleware(options);
+    const res = createResponse();
+    const next = jest.fn();
+
+    middleware(createRequest('POST', { Origin: 'https://API.coredatastore.com' }), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.headers).toEqual({
+      'Access-Control-Allow-Origin': 'https://API.coredatastore.com',
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Expose-Headers': 'Mcp-Session-Id',
+    });
+  });
+
+  test('should omit CORS headers for other origins', () => {
+    const middleware = createCorsMiddleware(options);
+    const res = createResponse();
+    const next = jest.fn();
+
+    middleware(createRequest('GET', { Origin: 'https://evil.example.com' }), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.headers).toEqual({});
+  });
+
+  test('should answer preflight requests from listed origins', () => {
+    const middleware = createCorsMiddleware(options);
+    const res = createResponse();
+    const next = jest.fn();
+
+    middleware(
+      createRequest('OPTIONS', preflightHeaders('https://mcp.coredatastore.com')),
+      res,
+      next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(204);
+    expect(res.end).toHaveBeenCalled();
+    expect(res.headers).toEqual({
+      'Access-Control-Allow-Origin': 'https://mcp.coredatastore.com',
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Mcp-Session-Id',
+      'Access-Control-Max-Age': '600',
+    });
+  });
+
+  test('should reject preflight requests from other origins', () => {
+    const middleware = createCorsMiddleware(options);
+    const res = createResponse();
+    const next = jest.fn();
+
+    middleware(createRequest('OPTIONS', preflightHeaders('https://evil.example.com')), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.headers).toEqual({});
+  });
+
+  test('should pass OPTIONS requests that are not preflights to the routes', () => {
+    const middleware = createCorsMiddleware(options);
+    const next = jest.fn();
+
+    middleware(
+      createRequest('OPTIONS', { Origin: 'https://mcp.coredatastore.com' }),
+      createResponse(),
+      next
+    );
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should allow any origin without credentials for the wildcard', () => {
+    const middleware = createCorsMiddleware({ ...options, origin: '*' });
+    const res = createResponse();
+
+    middleware(createRequest('GET', { Origin: 'https://inspector.example.com' }), res, jest.fn());
+
+    expect(res.headers['Access-Control-Allow-Origin']).toBe('*');
+    expect(res.headers['Access-Control-Allow-Credentials']).toBeUndefined();
+    expect(res.vary).not.toHaveBeenCalled();
+  });
+});
@@ -172,6 +172,21 @@ describe('ErrorHandler', () => {
       expect(typeof parsed.requestId).toBe('string');
     });
 
+    test('should return structured validation errors carried by an MCP error', () => {
+      const formatted = ErrorHandler.formatValidationErrors([
+        { instancePath: '/limit', message: 'must be integer', keyword: 'type', params: {} },
+      ]);
+      const mcpError = new McpError(ErrorCode.InvalidParams, 'Validation failed', formatted);
+
+      const response = ErrorHandler.createMcpErrorResponse(mcpError);
+      const parsed = JSON.parse(response.content[0].text);
+
+      expect(response.isError).toBe(true);
+      expect(parsed.code).toBe(ErrorCode.InvalidParams);
+      expect(parsed.message).toBe('Validation failed');
+      expect(parsed.details.errors[0].path).toBe('/limit');
+    });
+
     test('should create an MCP error response from a generic error', () => {
       const error = new Error('Something went wrong');
 
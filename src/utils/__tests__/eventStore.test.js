@@ -0,0 +1,48 @@
+/**
+ * Tests for the EventStore utility
+ */
+import { jest } from '@jest/globals';
+import { EventStore } from '../eventStore.js';
+
+const message = id => ({ jsonrpc: '2.0', result: {}, id });
+
+describe('EventStore', () => {
+  test('should assign increasing event IDs', async () => {
+    const store = new EventStore();
+
+    expect(await store.storeEvent('stream-a', message(1))).toBe('1');
+    expect(await store.storeEvent('stream-a', message(2))).toBe('2');
+  });
+
+  test('should replay later events from the same stream', async () => {
+    const store = new EventStore();
+    const first = await store.storeEvent('stream-a', message(1));
+    await store.storeEvent('_GET_stream', message(2));
+    const third = await store.storeEvent('stream-a', message(3));
+    const send = jest.fn().mockResolvedValue();
+
+    const streamId = await store.replayEventsAfter(first, { send });
+
+    expect(streamId).toBe('stream-a');
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith(third, message(3));
+  });
+
+  test('should return an empty stream ID for unknown events', async () => {
+    const store = new EventStore();
+    const send = jest.fn();
+
+    expect(await store.replayEventsAfter('42', { send })).toBe('');
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test('should drop the oldest events beyond the limit', async () => {
+    const store = new EventStore({ maxEvents: 2 });
+    const first = await store.storeEvent('stream-a', message(1));
+    await store.storeEvent('stream-a', message(2));
+    await store.storeEvent('stream-a', message(3));
+
+    expect(store.events.size).toBe(2);
+    expect(store.events.has(first)).toBe(false);
+  });
+});
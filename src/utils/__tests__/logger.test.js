@@ -15,7 +15,14 @@ const originalMathRandom = Math.random;
 Math.random = jest.fn(() => 0.7);
 
 // Import modules after mocking
-import { Logger, logger, setLogLevel } from '../logger.js';
+import {
+  Logger,
+  addSensitiveKey,
+  logger,
+  sanitizeData,
+  setConsoleToStderr,
+  setLogLevel,
+} from '../logger.js';
 
 describe('Logger', () => {
   // Save original console methods before mocking them
@@ -420,6 +427,14 @@ describe('Logger', () => {
       expect(logData.config.secretKey).toBe('[REDACTED]');
     });
 
+    test('should redact added keys', () => {
+      addSensitiveKey('X-Upstream-Auth');
+
+      expect(
+        sanitizeData({ headers: { 'x-upstream-auth': 'caller-token', accept: '*/*' } })
+      ).toEqual({ headers: { 'x-upstream-auth': '[REDACTED]', accept: '*/*' } });
+    });
+
     test('should handle non-object values', () => {
       const testLogger = new Logger();
 
@@ -547,6 +562,30 @@ describe('Logger', () => {
     });
   });
 
+  describe('stderr routing', () => {
+    afterEach(() => {
+      setConsoleToStderr(false);
+    });
+
+    test('should write every level to stderr when enabled', () => {
+      setLogLevel('DEBUG');
+      setConsoleToStderr(true);
+
+      const testLogger = new Logger();
+      testLogger.debug('Debug message');
+      testLogger.info('Info message');
+      testLogger.warn('Warn message');
+
+      expect(console.debug).not.toHaveBeenCalled();
+      expect(console.info).not.toHaveBeenCalled();
+      expect(console.warn).not.toHaveBeenCalled();
+      const output = console.error.mock.calls.map(([line]) => line).join('\n');
+      expect(output).toContain('Debug message');
+      expect(output).toContain('Info message');
+      expect(output).toContain('Warn message');
+    });
+  });
+
   describe('default logger instance', () => {
     test('should create a default logger with service metadata', () => {
       expect(logger).toBeInstanceOf(Logger);
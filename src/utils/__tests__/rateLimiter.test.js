@@ -0,0 +1,117 @@
+/**
+ * Tests for the rate limiter
+ */
+import { jest } from '@jest/globals';
+import { RateLimiter, createRateLimitMiddleware } from '../rateLimiter.js';
+
+const createResponse = () => {
+  const res = { headers: {} };
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('RateLimiter', () => {
+  test('should allow up to max requests per window for each key', () => {
+    const limiter = new RateLimiter({ windowMs: 1000, max: 2 });
+
+    expect(limiter.consume('a', 0)).toEqual({
+      allowed: true,
+      limit: 2,
+      remaining: 1,
+      resetAt: 1000,
+      retryAfter: 1,
+    });
+    expect(limiter.consume('a', 100).allowed).toBe(true);
+    expect(limiter.consume('a', 200)).toMatchObject({ allowed: false, remaining: 0 });
+    expect(limiter.consume('b', 200).allowed).toBe(true);
+  });
+
+  test('should start a new window once the old one has passed', () => {
+    const limiter = new RateLimiter({ windowMs: 1000, max: 1 });
+
+    limiter.consume('a', 0);
+    expect(limiter.consume('a', 999).allowed).toBe(false);
+    expect(limiter.consume('a', 1000)).toMatchObject({ allowed: true, resetAt: 2000 });
+  });
+
+  test('should report the seconds until the window resets', () => {
+    const limiter = new RateLimiter({ windowMs: 60000, max: 1 });
+
+    limiter.consume('a', 0);
+    expect(limiter.consume('a', 30500).retryAfter).toBe(30);
+  });
+
+  test('should forget expired windows', () => {
+    const limiter = new RateLimiter({ windowMs: 1000, max: 1 });
+
+    limiter.consume('a', 0);
+    limiter.consume('b', 500);
+    limiter.consume('c', 1200);
+
+    expect([...limiter.windows.keys()]).toEqual(['b', 'c']);
+  });
+});
+
+describe('createRateLimitMiddleware', () => {
+  test('should pass requests within the limit and report the remaining budget', () => {
+    const middleware = createRateLimitMiddleware(new RateLimiter({ max: 2 }), () => 'client');
+    const res = createResponse();
+    const next = jest.fn();
+
+    middleware({ body: {} }, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.headers['RateLimit-Limit']).toBe('2');
+    expect(res.headers['RateLimit-Remaining']).toBe('1');
+  });
+
+  test('should answer JSON-RPC requests over the limit with 429 and a JSON-RPC error', () => {
+    const logger = { warn: jest.fn() };
+    const middleware = createRateLimitMiddleware(
+      new RateLimiter({ windowMs: 60000, max: 1 }),
+      () => 'client',
+      { logger }
+    );
+    const req = { originalUrl: '/mcp', body: { jsonrpc: '2.0', id: 7, method: 'tools/call' } };
+    middleware(req, createResponse(), jest.fn());
+
+    const res = createResponse();
+    const next = jest.fn();
+    middleware(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.headers['Retry-After']).toBe('60');
+    expect(res.json).toHaveBeenCalledWith({
+      jsonrpc: '2.0',
+      error: {
+        code: -32000,
+        message: 'Rate limit exceeded, retry in 60 seconds',
+        data: { retryAfter: 60 },
+      },
+      id: 7,
+    });
+    expect(logger.warn).toHaveBeenCalledWith('Rate limit exceeded for client', {
+      path: '/mcp',
+      retryAfter: 60,
+    });
+  });
+
+  test('should answer other requests over the limit with a JSON error', () => {
+    const middleware = createRateLimitMiddleware(new RateLimiter({ max: 1 }), req => req.ip);
+    middleware({ ip: '10.0.0.1' }, createResponse(), jest.fn());
+
+    const res = createResponse();
+    middleware({ ip: '10.0.0.1' }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ error: 'Too many requests', retryAfter: expect.any(Number) })
+    );
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Tests for the request builder
+ */
+import {
+  buildRequest,
+  groupArguments,
+  serializePathValue,
+  serializeQueryParameter,
+  serializeSimpleValue,
+} from '../requestBuilder.js';
+
+const BASE_URL = 'https://api.coredatastore.com';
+
+describe('requestBuilder', () => {
+  describe('serializeSimpleValue', () => {
+    test('should serialize primitives, arrays and objects', () => {
+      expect(serializeSimpleValue(5)).toBe('5');
+      expect(serializeSimpleValue(['a', 'b'])).toBe('a,b');
+      expect(serializeSimpleValue({ role: 'admin', id: 7 })).toBe('role,admin,id,7');
+    });
+  });
+
+  describe('serializePathValue', () => {
+    test('should percent-encode reserved characters', () => {
+      expect(serializePathValue('id', 'a/b?c#d')).toBe('a%2Fb%3Fc%23d');
+    });
+
+    test('should serialize the simple style', () => {
+      expect(serializePathValue('id', [3, 4])).toBe('3,4');
+      expect(serializePathValue('id', { role: 'admin', x: 'a b' })).toBe('role,admin,x,a%20b');
+      expect(serializePathValue('id', { role: 'admin' }, 'simple', true)).toBe('role=admin');
+    });
+
+    test('should serialize the label and matrix styles', () => {
+      expect(serializePathValue('id', [3, 4], 'label')).toBe('.3,4');
+      expect(serializePathValue('id', [3, 4], 'label', true)).toBe('.3.4');
+      expect(serializePathValue('id', 5, 'matrix')).toBe(';id=5');
+      expect(serializePathValue('id', [3, 4], 'matrix')).toBe(';id=3,4');
+      expect(serializePathValue('id', [3, 4], 'matrix', true)).toBe(';id=3;id=4');
+      expect(serializePathValue('id', { role: 'admin' }, 'matrix', true)).toBe(';role=admin');
+    });
+  });
+
+  describe('serializeQueryParameter', () => {
+    test('should encode primitive values', () => {
+      expect(serializeQueryParameter('q', 'a&b=c d')).toEqual(['q=a%26b%3Dc%20d']);
+      expect(serializeQueryParameter('q', null)).toEqual(['q=']);
+    });
+
+    test('should explode form arrays and objects by default', () => {
+      expect(serializeQueryParameter('id', [3, 4])).toEqual(['id=3', 'id=4']);
+      expect(serializeQueryParameter('id', { role: 'admin', name: 'Alex' })).toEqual([
+        'role=admin',
+        'name=Alex',
+      ]);
+    });
+
+    test('should join non-exploded form values with commas', () => {
+      expect(serializeQueryParameter('id', [3, 4], 'form', false)).toEqual(['id=3,4']);
+      expect(serializeQueryParameter('id', { role: 'admin' }, 'form', false)).toEqual([
+        'id=role,admin',
+      ]);
+    });
+
+    test('should serialize space and pipe delimited arrays', () => {
+      expect(serializeQueryParameter('tags', ['a', 'b'], 'spaceDelimited')).toEqual(['tags=a%20b']);
+      expect(serializeQueryParameter('tags', ['a|b', 'c'], 'pipeDelimited')).toEqual([
+        'tags=a%7Cb|c',
+      ]);
+      expect(serializeQueryParameter('tags', ['a', 'b'], 'pipeDelimited', true)).toEqual([
+        'tags=a',
+        'tags=b',
+      ]);
+    });
+
+    test('should serialize deepObject parameters', () => {
+      expect(
+        serializeQueryParameter(
+          'filter',
+          { borough: 'Manhattan', year: { gte: 1900 }, tags: ['a', 'b'] },
+          'deepObject',
+          true
+        )
+      ).toEqual([
+        'filter[borough]=Manhattan',
+        'filter[year][gte]=1900',
+        'filter[tags]=a',
+        'filter[tags]=b',
+      ]);
+    });
+  });
+
+  describe('groupArguments', () => {
+    test('should place declared parameters by location', () => {
+      const groups = groupArguments(
+        '/reports/{id}',
+        'post',
+        { id: 1, dryRun: true, name: 'x', headers: { 'X-Tenant': 'nyc' } },
+        [
+          { name: 'id', in: 'path' },
+          { name: 'dryRun', in: 'query' },
+          { name: 'X-Tenant', in: 'header' },
+        ]
+      );
+
+      expect(groups).toEqual({
+        path: { id: 1 },
+        query: { dryRun: true },
+        header: { 'X-Tenant': 'nyc' },
+        cookie: {},
+        body: { name: 'x' },
+      });
+    });
+
+    test('should infer locations when no parameters are declared', () => {
+      expect(groupArguments('/reports/{id}', 'get', { id: 1, page: 2 })).toMatchObject({
+        path: { id: 1 },
+        query: { page: 2 },
+        body: {},
+      });
+      expect(groupArguments('/reports/{id}', 'put', { id: 1, name: 'x' })).toMatchObject({
+        path: { id: 1 },
+        query: {},
+        body: { name: 'x' },
+      });
+    });
+
+    test('should only copy declared header and cookie parameters', () => {
+      const groups = groupArguments(
+        '/reports',
+        'get',
+        {
+          headers: { 'X-Tenant': 'nyc', Authorization: 'Bearer injected' },
+          cookies: { session: 'abc', Cookie: 'a=b' },
+        },
+        [
+          { name: 'X-Tenant', in: 'header' },
+          { name: 'session', in: 'cookie' },
+        ]
+      );
+
+      expect(groups.header).toEqual({ 'X-Tenant': 'nyc' });
+      expect(groups.cookie).toEqual({ session: 'abc' });
+      expect(groups.query).toEqual({});
+    });
+
+    test('should keep a headers argument in the body when no header parameters exist', () => {
+      expect(groupArguments('/notes', 'post', { headers: 'Title' }).body).toEqual({
+        headers: 'Title',
+      });
+    });
+  });
+
+  describe('buildRequest', () => {
+    test('should build GET requests with path and query parameters', () => {
+      const { url, options, body } = buildRequest({
+        baseUrl: BASE_URL,
+        path: '/api/LpcReport/{lpcId}',
+        method: 'get',
+        args: { lpcId: 'LP-00001', limit: 0 },
+      });
+
+      expect(url).toBe(`${BASE_URL}/api/LpcReport/LP-00001?limit=0`);
+      expect(options).toEqual({
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      });
+      expect(body).toBeNull();
+    });
+
+    test('should build requests with JSON bodies', () => {
+      const { url, options, body } = buildRequest({
+        baseUrl: BASE_URL,
+        path: '/api/Landmarks',
+        method: 'post',
+        args: { name: 'Flatiron Building' },
+      });
+
+      expect(url).toBe(`${BASE_URL}/api/Landmarks`);
+      expect(options.method).toBe('POST');
+      expect(JSON.parse(options.body)).toEqual({ name: 'Flatiron Building' });
+      expect(body).toEqual({ name: 'Flatiron Building' });
+    });
+
+    test('should send header and cookie parameters', () => {
+      const { options } = buildRequest({
+        baseUrl: BASE_URL,
+        path: '/api/Landmarks',
+        method: 'get',
+        args: {
+          headers: { 'X-Api-Version': 2, 'X-Empty': null },
+          cookies: { session: 'a b', theme: 'dark' },
+        },
+        parameters: [
+          { name: 'X-Api-Version', in: 'header' },
+          { name: 'X-Empty', in: 'header' },
+          { name: 'session', in: 'cookie' },
+          { name: 'theme', in: 'cookie' },
+        ],
+      });
+
+      expect(options.headers['X-Api-Version']).toBe('2');
+      expect(options.headers).not.toHaveProperty('X-Empty');
+      expect(options.headers.Cookie).toBe('session=a%20b; theme=dark');
+    });
+
+    test('should send form fields as multipart form data', () => {
+      const { options, body } = buildRequest({
+        baseUrl: BASE_URL,
+        path: '/api/Notes',
+        method: 'post',
+        args: { title: 'Flatiron', tags: ['a', 'b'], draft: null },
+        parameters: ['title', 'tags', 'draft'].map(name => ({
+          name,
+          in: 'formData',
+          contentType: 'multipart/form-data',
+        })),
+      });
+
+      expect(options.body).toBeInstanceOf(FormData);
+      expect([...options.body.entries()]).toEqual([
+        ['title', 'Flatiron'],
+        ['tags', 'a'],
+        ['tags', 'b'],
+      ]);
+      expect(options.headers).not.toHaveProperty('Content-Type');
+      expect(body).toEqual({ title: 'Flatiron', tags: ['a', 'b'], draft: null });
+    });
+
+    test('should encode path parameters and honour declared query styles', () => {
+      const { url } = buildRequest({
+        baseUrl: BASE_URL,
+        path: '/api/LpcReport/{lpcId}',
+        method: 'get',
+        args: { lpcId: '../admin?x=1#', boroughs: ['Manhattan', 'Bronx'], ids: [1, 2], q: 'a b' },
+        parameters: [
+          { name: 'lpcId', in: 'path' },
+          { name: 'boroughs', in: 'query', style: 'pipeDelimited' },
+          { name: 'ids', in: 'query', style: 'form', explode: false },
+        ],
+      });
+
+      expect(url).toBe(
+        `${BASE_URL}/api/LpcReport/..%2Fadmin%3Fx%3D1%23?boroughs=Manhattan|Bronx&ids=1,2&q=a%20b`
+      );
+    });
+
+    test('should reject path parameters that are relative path segments', () => {
+      const build = lpcId =>
+        buildRequest({
+          baseUrl: BASE_URL,
+          path: '/api/LpcReport/{lpcId}',
+          method: 'get',
+          args: { lpcId },
+          parameters: [{ name: 'lpcId', in: 'path' }],
+        });
+
+      for (const lpcId of ['..', '.']) {
+        expect(() => build(lpcId)).toThrow(
+          expect.objectContaining({
+            message: 'Path parameter lpcId cannot be a relative path segment',
+            status: 400,
+          })
+        );
+      }
+      expect(build('...').url).toBe(`${BASE_URL}/api/LpcReport/...`);
+      expect(build('LP.00001').url).toBe(`${BASE_URL}/api/LpcReport/LP.00001`);
+      expect(build('%2E%2E').url).toBe(`${BASE_URL}/api/LpcReport/%252E%252E`);
+    });
+
+    test('should explode undeclared array query arguments', () => {
+      const { url } = buildRequest({
+        baseUrl: BASE_URL,
+        path: '/api/Landmarks',
+        method: 'get',
+        args: { id: [1, 2] },
+      });
+
+      expect(url).toBe(`${BASE_URL}/api/Landmarks?id=1&id=2`);
+    });
+
+    test('should treat missing arguments as empty', () => {
+      const { url } = buildRequest({
+        baseUrl: BASE_URL,
+        path: '/api/Landmarks',
+        method: 'get',
+        args: null,
+      });
+
+      expect(url).toBe(`${BASE_URL}/api/Landmarks`);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for the SchemaConverter utility
+ */
+import { SchemaConverter } from '../schemaConverter.js';
+
+describe('SchemaConverter', () => {
+  describe('toJsonSchema', () => {
+    test('should preserve validation keywords', () => {
+      const schema = {
+        type: 'integer',
+        format: 'int32',
+        minimum: 1,
+        maximum: 100,
+        default: 10,
+        description: 'Page size',
+      };
+
+      expect(SchemaConverter.toJsonSchema(schema)).toEqual(schema);
+    });
+
+    test('should preserve enums, patterns and array items', () => {
+      const schema = {
+        type: 'array',
+        items: { type: 'string', enum: ['Manhattan', 'Brooklyn'], pattern: '^[A-Z]' },
+        minItems: 1,
+      };
+
+      expect(SchemaConverter.toJsonSchema(schema)).toEqual(schema);
+    });
+
+    test('should convert nullable into a type union', () => {
+      expect(SchemaConverter.toJsonSchema({ type: 'string', nullable: true })).toEqual({
+        type: ['string', 'null'],
+      });
+    });
+
+    test('should allow null in nullable enums', () => {
+      expect(
+        SchemaConverter.toJsonSchema({ type: 'string', enum: ['A', 'B'], nullable: true })
+      ).toEqual({ type: ['string', 'null'], enum: ['A', 'B', null] });
+    });
+
+    test('should add a null alternative to nullable compositions', () => {
+      expect(SchemaConverter.toJsonSchema({ oneOf: [{ type: 'string' }], nullable: true })).toEqual(
+        { oneOf: [{ type: 'string' }, { type: 'null' }] }
+      );
+    });
+
+    test('should convert nested properties', () => {
+      const result = SchemaConverter.toJsonSchema({
+        type: 'object',
+        properties: {
+          address: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              zip: { type: 'string', example: '10001', 'x-internal': true },
+            },
+          },
+          nullable: { type: 'boolean' },
+        },
+      });
+
+      expect(result).toEqual({
+        type: 'object',
+        properties: {
+          address: {
+            type: ['object', 'null'],
+            properties: {
+              zip: { type: 'string', examples: ['10001'] },
+            },
+          },
+          nullable: { type: 'boolean' },
+        },
+      });
+    });
+
+    test('should convert subschemas in compositions and additionalProperties', () => {
+      const result = SchemaConverter.toJsonSchema({
+        anyOf: [{ type: 'integer', nullable: true }],
+        additionalProperties: { type: 'number', nullable: true },
+        not: { type: 'string', discriminator: { propertyName: 'kind' } },
+      });
+
+      expect(result).toEqual({
+        anyOf: [{ type: ['integer', 'null'] }],
+        additionalProperties: { type: ['number', 'null'] },
+        not: { type: 'string' },
+      });
+    });
+
+    test('should convert boolean exclusive bounds', () => {
+      expect(
+        SchemaConverter.toJsonSchema({
+          type: 'number',
+          minimum: 0,
+          exclusiveMinimum: true,
+          maximum: 10,
+          exclusiveMaximum: false,
+        })
+      ).toEqual({ type: 'number', exclusiveMinimum: 0, maximum: 10 });
+    });
+
+    test('should drop OpenAPI-only keywords', () => {
+      expect(
+        SchemaConverter.toJsonSchema({
+          type: 'string',
+          xml: { name: 'value' },
+          externalDocs: { url: 'https://example.com' },
+        })
+      ).toEqual({ type: 'string' });
+    });
+
+    test('should return non-object schemas unchanged', () => {
+      expect(SchemaConverter.toJsonSchema(undefined)).toBeUndefined();
+      expect(SchemaConverter.toJsonSchema(true)).toBe(true);
+    });
+  });
+});
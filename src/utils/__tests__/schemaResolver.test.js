@@ -0,0 +1,215 @@
+/**
+ * Tests for the SchemaResolver utility
+ */
+import { SchemaResolver } from '../schemaResolver.js';
+
+const schemas = {
+  Landmark: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', description: 'Landmark name' },
+      borough: { $ref: '#/components/schemas/Borough' },
+      address: { $ref: '#/components/schemas/Address' },
+    },
+  },
+  Borough: {
+    type: 'string',
+    enum: ['Manhattan', 'Brooklyn'],
+  },
+  Address: {
+    type: 'object',
+    properties: {
+      street: { type: 'string' },
+    },
+  },
+  TreeNode: {
+    type: 'object',
+    properties: {
+      value: { type: 'string' },
+      children: {
+        type: 'array',
+        items: { $ref: '#/components/schemas/TreeNode' },
+      },
+    },
+  },
+  Audited: {
+    type: 'object',
+    required: ['createdBy'],
+    properties: {
+      createdBy: { type: 'string' },
+    },
+  },
+  AuditedLandmark: {
+    allOf: [{ $ref: '#/components/schemas/Landmark' }, { $ref: '#/components/schemas/Audited' }],
+    description: 'Landmark with audit fields',
+  },
+  ByLpcNumber: {
+    type: 'object',
+    required: ['lpcNumber', 'reason'],
+    properties: {
+      lpcNumber: { type: 'string' },
+      reason: { type: 'string' },
+    },
+  },
+  ByName: {
+    type: 'object',
+    required: ['name', 'reason'],
+    properties: {
+      name: { type: 'string' },
+      reason: { type: 'string' },
+    },
+  },
+};
+
+describe('SchemaResolver', () => {
+  let resolver;
+
+  beforeEach(() => {
+    resolver = new SchemaResolver(schemas);
+  });
+
+  describe('lookup', () => {
+    test('should find component schemas', () => {
+      expect(resolver.lookup('#/components/schemas/Borough')).toBe(schemas.Borough);
+    });
+
+    test('should find Swagger 2.0 style definitions', () => {
+      expect(resolver.lookup('#/definitions/Address')).toBe(schemas.Address);
+    });
+
+    test('should follow other local pointers through the document', () => {
+      const param = { name: 'lpcId', in: 'path' };
+      const documentResolver = new SchemaResolver(
+        {},
+        { components: { parameters: { 'lpc/Id': param } } }
+      );
+
+      expect(documentResolver.lookup('#/components/parameters/lpc~1Id')).toBe(param);
+      expect(documentResolver.lookup('#/components/parameters/missing/deeper')).toBeNull();
+    });
+
+    test('should return null for unknown or remote references', () => {
+      expect(resolver.lookup('#/components/schemas/Missing')).toBeNull();
+      expect(resolver.lookup('other.json#/components/schemas/Landmark')).toBeNull();
+    });
+  });
+
+  describe('dereference', () => {
+    test('should follow parameter references', () => {
+      const param = { name: 'limit', in: 'query', schema: { type: 'integer' } };
+      const documentResolver = new SchemaResolver({}, { components: { parameters: { param } } });
+
+      expect(documentResolver.dereference({ $ref: '#/components/parameters/param' })).toBe(param);
+    });
+
+    test('should return non-reference objects unchanged', () => {
+      const body = { content: {} };
+      expect(resolver.dereference(body)).toBe(body);
+    });
+  });
+
+  describe('resolve', () => {
+    test('should resolve top-level and nested references', () => {
+      const resolved = resolver.resolve({ $ref: '#/components/schemas/Landmark' });
+
+      expect(resolved.properties.borough).toEqual(schemas.Borough);
+      expect(resolved.properties.address.properties.street).toEqual({ type: 'string' });
+      expect(resolved.required).toEqual(['name']);
+    });
+
+    test('should keep sibling keywords of a reference', () => {
+      const resolved = resolver.resolve({
+        $ref: '#/components/schemas/Borough',
+        description: 'Borough of the landmark',
+      });
+
+      expect(resolved).toEqual({ ...schemas.Borough, description: 'Borough of the landmark' });
+    });
+
+    test('should stop at circular references', () => {
+      const resolved = resolver.resolve({ $ref: '#/components/schemas/TreeNode' });
+
+      expect(resolved.properties.children.items).toEqual({
+        type: 'object',
+        description: 'Circular reference to #/components/schemas/TreeNode',
+      });
+    });
+
+    test('should resolve the same schema used by sibling properties', () => {
+      const resolved = resolver.resolve({
+        type: 'object',
+        properties: {
+          home: { $ref: '#/components/schemas/Address' },
+          work: { $ref: '#/components/schemas/Address' },
+        },
+      });
+
+      expect(resolved.properties.home).toEqual(schemas.Address);
+      expect(resolved.properties.work).toEqual(schemas.Address);
+    });
+
+    test('should merge allOf compositions', () => {
+      const resolved = resolver.resolve({ $ref: '#/components/schemas/AuditedLandmark' });
+
+      expect(resolved.type).toBe('object');
+      expect(Object.keys(resolved.properties)).toEqual(['name', 'borough', 'address', 'createdBy']);
+      expect(resolved.required).toEqual(['name', 'createdBy']);
+      expect(resolved.description).toBe('Landmark with audit fields');
+      expect(resolved.allOf).toBeUndefined();
+    });
+
+    test('should resolve oneOf and anyOf alternatives', () => {
+      const resolved = resolver.resolve({
+        oneOf: [
+          { $ref: '#/components/schemas/ByLpcNumber' },
+          { $ref: '#/components/schemas/ByName' },
+        ],
+      });
+
+      expect(resolved.oneOf).toEqual([schemas.ByLpcNumber, schemas.ByName]);
+    });
+
+    test('should leave unresolvable references without the $ref', () => {
+      expect(resolver.resolve({ $ref: '#/components/schemas/Missing', description: 'x' })).toEqual({
+        description: 'x',
+      });
+    });
+
+    test('should return non-object schemas unchanged', () => {
+      expect(resolver.resolve(undefined)).toBeUndefined();
+      expect(resolver.resolve(true)).toBe(true);
+    });
+  });
+
+  describe('collectProperties', () => {
+    test('should collect properties of a referenced body', () => {
+      const { properties, required } = resolver.collectProperties({
+        $ref: '#/components/schemas/Landmark',
+      });
+
+      expect(Object.keys(properties)).toEqual(['name', 'borough', 'address']);
+      expect(required).toEqual(['name']);
+    });
+
+    test('should only require properties required by every alternative', () => {
+      const { properties, required } = resolver.collectProperties({
+        anyOf: [
+          { $ref: '#/components/schemas/ByLpcNumber' },
+          { $ref: '#/components/schemas/ByName' },
+        ],
+      });
+
+      expect(Object.keys(properties)).toEqual(['lpcNumber', 'reason', 'name']);
+      expect(required).toEqual(['reason']);
+    });
+
+    test('should return empty results for schemas without properties', () => {
+      expect(resolver.collectProperties({ type: 'string' })).toEqual({
+        properties: {},
+        required: [],
+      });
+      expect(resolver.collectProperties(undefined)).toEqual({ properties: {}, required: [] });
+    });
+  });
+});
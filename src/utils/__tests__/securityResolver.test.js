@@ -0,0 +1,268 @@
+/**
+ * Tests for the SecurityResolver utility
+ */
+import { jest } from '@jest/globals';
+import { SecurityResolver } from '../securityResolver.js';
+
+const spec = {
+  components: {
+    securitySchemes: {
+      tenantKey: { type: 'apiKey', in: 'header', name: 'X-Tenant-Key' },
+      queryKey: { type: 'apiKey', in: 'query', name: 'api_key' },
+      cookieKey: { type: 'apiKey', in: 'cookie', name: 'session' },
+      basicAuth: { type: 'http', scheme: 'basic' },
+      bearerAuth: { type: 'http', scheme: 'bearer' },
+      oauth: {
+        type: 'oauth2',
+        flows: { clientCredentials: { tokenUrl: '/oauth/token', scopes: { read: 'Read' } } },
+      },
+    },
+  },
+  security: [{ tenantKey: [] }],
+};
+
+const credentials = {
+  tenantKey: { value: 'tenant-secret' },
+  queryKey: { value: 'a key&more' },
+  cookieKey: { value: 'cookie-secret' },
+  basicAuth: { username: 'inspector', password: 'pa:ss' },
+  bearerAuth: { token: 'static-token' },
+  oauth: { clientId: 'mcp', clientSecret: 'client-secret' },
+};
+
+const jsonResponse = (status, body = {}) => ({
+  ok: status < 400,
+  status,
+  json: () => Promise.resolve(body),
+});
+
+const createResolver = (options = {}) => {
+  const fetch = jest.fn().mockResolvedValue(jsonResponse(200));
+  const logger = { info: jest.fn(), warn: jest.fn() };
+  const resolver = new SecurityResolver(spec, {
+    credentials,
+    baseUrl: 'https://api.coredatastore.com/v1',
+    fetch,
+    logger,
+    ...options,
+  });
+  return { resolver, fetch };
+};
+
+describe('SecurityResolver', () => {
+  test('should use operation requirements, falling back to the global ones', () => {
+    const { resolver } = createResolver();
+
+    expect(resolver.requirementsFor({ security: [] })).toEqual([]);
+    expect(resolver.requirementsFor({ security: [{ bearerAuth: [] }] })).toEqual([
+      { bearerAuth: [] },
+    ]);
+    expect(resolver.requirementsFor({})).toEqual([{ tenantKey: [] }]);
+  });
+
+  test('should recognize parameters that carry API keys', () => {
+    const { resolver } = createResolver();
+
+    expect(resolver.isCredentialParameter({ in: 'header', name: 'x-tenant-key' })).toBe(true);
+    expect(resolver.isCredentialParameter({ in: 'query', name: 'api_key' })).toBe(true);
+    expect(resolver.isCredentialParameter({ in: 'query', name: 'API_KEY' })).toBe(false);
+    expect(resolver.isCredentialParameter({ in: 'header', name: 'api_key' })).toBe(false);
+  });
+
+  test('should report credentials for unknown schemes', () => {
+    const { resolver } = createResolver({ credentials: { ...credentials, tenantkey: {} } });
+
+    expect(resolver.unknownCredentials()).toEqual(['tenantkey']);
+  });
+
+  test('should place API keys in headers, query parameters and cookies', async () => {
+    const { resolver, fetch } = createResolver();
+
+    await resolver.send(
+      [{ tenantKey: [], queryKey: [], cookieKey: [] }],
+      'https://api.coredatastore.com/v1/reports?page=1',
+      { headers: { Cookie: 'theme=dark' } }
+    );
+
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.coredatastore.com/v1/reports?page=1&api_key=a%20key%26more');
+    expect(options.headers).toEqual({
+      'X-Tenant-Key': 'tenant-secret',
+      Cookie: 'theme=dark; session=cookie-secret',
+    });
+  });
+
+  test('should send basic and bearer credentials', async () => {
+    const { resolver, fetch } = createResolver();
+
+    await resolver.send([{ basicAuth: [] }], 'https://api.coredatastore.com/v1/a');
+    await resolver.send([{ bearerAuth: [] }], 'https://api.coredatastore.com/v1/b');
+
+    const encoded = Buffer.from('inspector:pa:ss').toString('base64');
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe(`Basic ${encoded}`);
+    expect(fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer static-token');
+  });
+
+  test('should pick the first alternative it has credentials for', async () => {
+    const { resolver, fetch } = createResolver({ credentials: { bearerAuth: { token: 't' } } });
+
+    await resolver.send([{ basicAuth: [] }, { bearerAuth: [] }], 'https://example.com');
+
+    expect(fetch.mock.calls[0][1].headers).toEqual({ Authorization: 'Bearer t' });
+  });
+
+  test('should send requests without credentials when none are required', async () => {
+    const { resolver, fetch } = createResolver();
+
+    await resolver.send([], 'https://example.com', { method: 'GET' });
+    await resolver.send([{}, { basicAuth: [] }], 'https://example.com');
+
+    expect(fetch.mock.calls[0][1]).toEqual({ method: 'GET', headers: {} });
+    expect(fetch.mock.calls[1][1].headers).toEqual({});
+  });
+
+  test('should refuse requests it has no credentials for', async () => {
+    const { resolver, fetch } = createResolver({ credentials: {} });
+
+    await expect(
+      resolver.send([{ basicAuth: [] }, { tenantKey: [] }], 'https://example.com')
+    ).rejects.toMatchObject({
+      message: 'No upstream credentials configured for security scheme basicAuth, tenantKey',
+      status: 401,
+    });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  describe('caller tokens', () => {
+    test('should replace configured bearer and OAuth2 credentials', async () => {
+      const { resolver, fetch } = createResolver({ credentials: {} });
+
+      await resolver.send([{ bearerAuth: [] }], 'https://example.com/a', {}, 'caller-token');
+      await resolver.send([{ oauth: ['read'] }], 'https://example.com/b', {}, 'caller-token');
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch.mock.calls[0][1].headers).toEqual({ Authorization: 'Bearer caller-token' });
+      expect(fetch.mock.calls[1][1].headers).toEqual({ Authorization: 'Bearer caller-token' });
+    });
+
+    test('should be sent alongside API keys and without security requirements', async () => {
+      const { resolver, fetch } = createResolver();
+
+      await resolver.send([{ tenantKey: [] }], 'https://example.com/a', {}, 'caller-token');
+      await resolver.send([], 'https://example.com/b', {}, 'caller-token');
+
+      expect(fetch.mock.calls[0][1].headers).toEqual({
+        'X-Tenant-Key': 'tenant-secret',
+        Authorization: 'Bearer caller-token',
+      });
+      expect(fetch.mock.calls[1][1].headers).toEqual({ Authorization: 'Bearer caller-token' });
+    });
+
+    test('should leave basic credentials in place', async () => {
+      const { resolver, fetch } = createResolver();
+
+      await resolver.send([{ basicAuth: [] }], 'https://example.com', {}, 'caller-token');
+
+      expect(fetch.mock.calls[0][1].headers.Authorization).toMatch(/^Basic /);
+    });
+
+    test('should not be retried when the upstream rejects them', async () => {
+      const { resolver, fetch } = createResolver();
+      fetch.mockResolvedValueOnce(jsonResponse(401));
+
+      const response = await resolver.send([{ oauth: [] }], 'https://example.com', {}, 'expired');
+
+      expect(response.status).toBe(401);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('OAuth2 client credentials', () => {
+    const tokenResponse = (token, expiresIn = 3600) =>
+      jsonResponse(200, { access_token: token, token_type: 'Bearer', expires_in: expiresIn });
+
+    test('should request a token once and reuse it', async () => {
+      const { resolver, fetch } = createResolver();
+      fetch.mockResolvedValueOnce(tokenResponse('token-1'));
+
+      await Promise.all([
+        resolver.send([{ oauth: ['read'] }], 'https://api.coredatastore.com/v1/a'),
+        resolver.send([{ oauth: ['read'] }], 'https://api.coredatastore.com/v1/b'),
+      ]);
+
+      const [tokenUrl, tokenRequest] = fetch.mock.calls[0];
+      expect(tokenUrl).toBe('https://api.coredatastore.com/oauth/token');
+      expect(tokenRequest.method).toBe('POST');
+      expect(tokenRequest.body).toBe('grant_type=client_credentials&scope=read');
+      expect(tokenRequest.headers.Authorization).toBe(
+        `Basic ${Buffer.from('mcp:client-secret').toString('base64')}`
+      );
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(fetch.mock.calls[2][1].headers.Authorization).toBe('Bearer token-1');
+    });
+
+    test('should renew tokens that are about to expire', async () => {
+      const { resolver, fetch } = createResolver();
+      fetch
+        .mockResolvedValueOnce(tokenResponse('token-1', 30))
+        .mockResolvedValueOnce(jsonResponse(200))
+        .mockResolvedValueOnce(tokenResponse('token-2'));
+
+      await resolver.send([{ oauth: [] }], 'https://example.com/a');
+      await resolver.send([{ oauth: [] }], 'https://example.com/b');
+
+      expect(fetch.mock.calls[3][1].headers.Authorization).toBe('Bearer token-2');
+    });
+
+    test('should retry once with a new token when the upstream rejects the token', async () => {
+      const { resolver, fetch } = createResolver();
+      fetch
+        .mockResolvedValueOnce(tokenResponse('revoked'))
+        .mockResolvedValueOnce(jsonResponse(401))
+        .mockResolvedValueOnce(tokenResponse('token-2'))
+        .mockResolvedValueOnce(jsonResponse(401));
+
+      const response = await resolver.send([{ oauth: [] }], 'https://example.com/a');
+
+      expect(response.status).toBe(401);
+      expect(fetch).toHaveBeenCalledTimes(4);
+      expect(fetch.mock.calls[3][1].headers.Authorization).toBe('Bearer token-2');
+    });
+
+    test('should not cache failed token requests', async () => {
+      const { resolver, fetch } = createResolver();
+      fetch.mockResolvedValueOnce(jsonResponse(400)).mockResolvedValueOnce(tokenResponse('ok'));
+
+      await expect(resolver.send([{ oauth: [] }], 'https://example.com')).rejects.toThrow(
+        'OAuth2 token request for oauth failed with 400'
+      );
+      await resolver.send([{ oauth: [] }], 'https://example.com');
+
+      expect(fetch.mock.calls[2][1].headers.Authorization).toBe('Bearer ok');
+    });
+  });
+
+  test('should redact numeric API keys', async () => {
+    const { resolver, fetch } = createResolver({ credentials: { queryKey: { value: 12345678 } } });
+
+    await resolver.send([{ queryKey: [] }], 'https://example.com');
+
+    expect(fetch.mock.calls[0][0]).toBe('https://example.com?api_key=12345678');
+    expect(resolver.redact('GET https://example.com?api_key=12345678 failed')).toBe(
+      'GET https://example.com?api_key=[REDACTED] failed'
+    );
+  });
+
+  test('should redact secrets and tokens from text', async () => {
+    const { resolver, fetch } = createResolver();
+    fetch.mockResolvedValueOnce(jsonResponse(200, { access_token: 'issued-token' }));
+    await resolver.send([{ oauth: [] }], 'https://example.com');
+
+    const text =
+      'GET https://example.com?api_key=a%20key%26more failed for tenant-secret, issued-token';
+
+    expect(resolver.redact(text)).toBe(
+      'GET https://example.com?api_key=[REDACTED] failed for [REDACTED], [REDACTED]'
+    );
+  });
+});
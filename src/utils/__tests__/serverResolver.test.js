@@ -0,0 +1,118 @@
+/**
+ * Tests for the ServerResolver utility
+ */
+import { ServerResolver, parseServerVariables } from '../serverResolver.js';
+
+const spec = {
+  servers: [
+    {
+      url: 'https://{environment}.coredatastore.com/{version}',
+      description: 'Production',
+      variables: {
+        environment: { default: 'api', enum: ['api', 'api-staging'] },
+        version: { default: 'v1' },
+      },
+    },
+    { url: 'https://api-staging.coredatastore.com/', name: 'staging' },
+  ],
+  paths: {
+    '/reports': {
+      servers: [{ url: 'https://reports.coredatastore.com' }],
+      get: {},
+      post: {
+        servers: [{ url: 'https://ingest.coredatastore.com' }],
+      },
+    },
+    '/landmarks': {
+      get: {},
+    },
+  },
+};
+
+describe('parseServerVariables', () => {
+  test('should parse name=value lists', () => {
+    expect(parseServerVariables('environment=api-staging, version=v2')).toEqual({
+      environment: 'api-staging',
+      version: 'v2',
+    });
+  });
+
+  test('should parse JSON objects', () => {
+    expect(parseServerVariables('{"version":"v2"}')).toEqual({ version: 'v2' });
+  });
+
+  test('should accept objects and empty values', () => {
+    expect(parseServerVariables({ version: 'v3' })).toEqual({ version: 'v3' });
+    expect(parseServerVariables(undefined)).toEqual({});
+  });
+});
+
+describe('ServerResolver', () => {
+  test('should use the first server with variable defaults', () => {
+    const resolver = new ServerResolver(spec);
+    expect(resolver.getBaseUrl('/landmarks', 'get')).toBe('https://api.coredatastore.com/v1');
+  });
+
+  test('should apply server variable overrides', () => {
+    const resolver = new ServerResolver(spec, { variables: 'environment=api-staging' });
+    expect(resolver.defaultUrl).toBe('https://api-staging.coredatastore.com/v1');
+  });
+
+  test('should reject variable values outside the enum', () => {
+    expect(() => new ServerResolver(spec, { variables: { environment: 'dev' } })).toThrow(
+      /Invalid value "dev"/
+    );
+  });
+
+  test('should select servers by index', () => {
+    const resolver = new ServerResolver(spec, { selector: '1' });
+    expect(resolver.defaultUrl).toBe('https://api-staging.coredatastore.com');
+  });
+
+  test('should select servers by name or description', () => {
+    expect(new ServerResolver(spec, { selector: 'staging' }).defaultUrl).toBe(
+      'https://api-staging.coredatastore.com'
+    );
+    expect(new ServerResolver(spec, { selector: 'production' }).defaultUrl).toBe(
+      'https://api.coredatastore.com/v1'
+    );
+  });
+
+  test('should fail when the selector matches no server', () => {
+    expect(() => new ServerResolver(spec, { selector: 'qa' })).toThrow(/No server matches "qa"/);
+  });
+
+  test('should honour path and operation level servers', () => {
+    const resolver = new ServerResolver(spec);
+
+    expect(resolver.getBaseUrl('/reports', 'get')).toBe('https://reports.coredatastore.com');
+    expect(resolver.getBaseUrl('/reports', 'POST')).toBe('https://ingest.coredatastore.com');
+  });
+
+  test('should resolve relative servers against the spec location', () => {
+    const resolver = new ServerResolver(
+      { servers: [{ url: '/api' }] },
+      { specUrl: 'https://api.coredatastore.com/swagger/v1/swagger.json' }
+    );
+
+    expect(resolver.defaultUrl).toBe('https://api.coredatastore.com/api');
+  });
+
+  test('should resolve relative servers against the fallback for local specs', () => {
+    const resolver = new ServerResolver(
+      { servers: [{ url: '/' }] },
+      { specUrl: './spec.yaml', fallbackUrl: 'https://api.coredatastore.com' }
+    );
+
+    expect(resolver.defaultUrl).toBe('https://api.coredatastore.com');
+  });
+
+  test('should fall back when the spec declares no servers', () => {
+    const resolver = new ServerResolver(
+      { paths: {} },
+      { fallbackUrl: 'https://api.coredatastore.com' }
+    );
+
+    expect(resolver.getBaseUrl('/landmarks', 'get')).toBe('https://api.coredatastore.com');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for the SessionManager utility
+ */
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+const { SessionManager, maskSessionId } = await import('../sessionManager.js');
+
+const createTransport = () => ({ close: jest.fn().mockResolvedValue() });
+
+describe('SessionManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new SessionManager({ maxSessions: 2, idleTimeout: 1000, keepAliveInterval: 500 });
+  });
+
+  afterEach(() => {
+    manager.stopTimers();
+  });
+
+  test('should add and look up sessions', () => {
+    const transport = createTransport();
+    manager.add('session-1', { type: 'sse', transport });
+
+    expect(manager.size).toBe(1);
+    expect(manager.get('session-1')).toMatchObject({ type: 'sse', transport, callCount: 0 });
+  });
+
+  test('should enforce the session limit', () => {
+    manager.add('a', { type: 'sse', transport: createTransport() });
+    manager.add('b', { type: 'sse', transport: createTransport() });
+
+    expect(manager.isFull()).toBe(true);
+    expect(() => manager.add('c', { type: 'sse' })).toThrow('Session limit of 2 reached');
+    expect(new SessionManager({ maxSessions: 0 }).isFull()).toBe(false);
+  });
+
+  test('should count calls and track activity', () => {
+    const session = manager.add('a', { type: 'sse', transport: createTransport() });
+    session.lastActivity = 0;
+
+    manager.recordCall('a');
+    manager.recordCall('a');
+    manager.recordCall('unknown');
+
+    expect(session.callCount).toBe(2);
+    expect(session.lastActivity).toBeGreaterThan(0);
+  });
+
+  test('should evict idle sessions and close their transports', async () => {
+    const idleTransport = createTransport();
+    const idle = manager.add('idle', { type: 'sse', transport: idleTransport });
+    manager.add('active', { type: 'streamable', transport: createTransport() });
+    idle.lastActivity = Date.now() - 5000;
+
+    const evicted = await manager.evictIdle();
+
+    expect(evicted).toEqual(['idle']);
+    expect(idleTransport.close).toHaveBeenCalled();
+    expect(manager.get('idle')).toBeUndefined();
+    expect(manager.size).toBe(1);
+  });
+
+  test('should send keep-alives and close sessions whose ping fails', () => {
+    const keepAlive = jest.fn();
+    const brokenTransport = createTransport();
+    manager.add('a', { type: 'sse', transport: createTransport(), keepAlive });
+    manager.add('b', {
+      type: 'sse',
+      transport: brokenTransport,
+      keepAlive: () => {
+        throw new Error('socket closed');
+      },
+    });
+
+    manager.sendKeepAlives();
+
+    expect(keepAlive).toHaveBeenCalled();
+    expect(brokenTransport.close).toHaveBeenCalled();
+    expect(manager.get('b')).toBeUndefined();
+  });
+
+  test('should run timers only while sessions exist', () => {
+    jest.useFakeTimers();
+    try {
+      const keepAlive = jest.fn();
+      manager.add('a', { type: 'sse', transport: createTransport(), keepAlive });
+
+      jest.advanceTimersByTime(1000);
+      expect(keepAlive).toHaveBeenCalledTimes(2);
+
+      manager.remove('a');
+      expect(manager.keepAliveTimer).toBeNull();
+      expect(manager.evictionTimer).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should list sessions with masked IDs', () => {
+    const session = manager.add('0123456789abcdef', { type: 'sse', transport: createTransport() });
+    session.createdAt = 1000;
+    session.lastActivity = 4000;
+    session.callCount = 3;
+
+    expect(manager.list(5000)).toEqual([
+      {
+        id: '01234567…',
+        type: 'sse',
+        createdAt: new Date(1000).toISOString(),
+        ageMs: 4000,
+        idleMs: 1000,
+        callCount: 3,
+      },
+    ]);
+  });
+
+  test('should close every session on closeAll', async () => {
+    const first = createTransport();
+    const second = createTransport();
+    manager.add('a', { type: 'sse', transport: first });
+    manager.add('b', { type: 'streamable', transport: second });
+
+    await manager.closeAll();
+
+    expect(first.close).toHaveBeenCalled();
+    expect(second.close).toHaveBeenCalled();
+    expect(manager.size).toBe(0);
+  });
+});
+
+describe('maskSessionId', () => {
+  test('should keep only the start of long IDs', () => {
+    expect(maskSessionId('0123456789')).toBe('01234567…');
+    expect(maskSessionId('short')).toBe('short');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for the ShutdownCoordinator utility
+ */
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { ShutdownCoordinator } = await import('../shutdown.js');
+
+describe('ShutdownCoordinator', () => {
+  let coordinator;
+  let exit;
+
+  beforeEach(() => {
+    exit = jest.fn();
+    coordinator = new ShutdownCoordinator({ timeout: 50, exit });
+  });
+
+  afterEach(() => {
+    coordinator.unlisten();
+  });
+
+  test('should track work until it settles', async () => {
+    let finish;
+    const work = coordinator.track(new Promise(resolve => (finish = resolve)));
+    const failed = coordinator.track(Promise.reject(new Error('boom')));
+
+    await expect(failed).rejects.toThrow('boom');
+    expect(coordinator.inFlight.size).toBe(1);
+
+    finish('done');
+    await expect(work).resolves.toBe('done');
+    expect(coordinator.inFlight.size).toBe(0);
+  });
+
+  test('should run stop steps, drain, then run cleanup steps in order', async () => {
+    const order = [];
+    let finish;
+    coordinator.track(new Promise(resolve => (finish = resolve)).then(() => order.push('work')));
+    coordinator.beforeDrain('stop', () => order.push('stop'));
+    coordinator.afterDrain('close', async () => order.push('close'));
+    coordinator.afterDrain('flush', () => order.push('flush'));
+
+    const shutdown = coordinator.shutdown('SIGTERM');
+    expect(coordinator.isShuttingDown).toBe(true);
+    expect(order).toEqual(['stop']);
+
+    finish();
+    await shutdown;
+
+    expect(order).toEqual(['stop', 'work', 'close', 'flush']);
+    expect(exit).toHaveBeenCalledWith(0);
+  });
+
+  test('should exit with an error code when work outlives the deadline', async () => {
+    const cleanup = jest.fn();
+    coordinator.track(new Promise(() => {}));
+    coordinator.afterDrain('cleanup', cleanup);
+
+    await coordinator.shutdown('SIGTERM');
+
+    expect(cleanup).toHaveBeenCalled();
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+
+  test('should keep going when a step fails', async () => {
+    const flush = jest.fn();
+    coordinator.afterDrain('close', () => {
+      throw new Error('already closed');
+    });
+    coordinator.afterDrain('flush', flush);
+
+    await coordinator.shutdown();
+
+    expect(flush).toHaveBeenCalled();
+    expect(exit).toHaveBeenCalledWith(0);
+  });
+
+  test('should only shut down once', async () => {
+    const stop = jest.fn();
+    coordinator.beforeDrain('stop', stop);
+
+    const first = coordinator.shutdown('SIGINT');
+    const second = coordinator.shutdown('SIGTERM');
+    await Promise.all([first, second]);
+
+    expect(second).toBe(first);
+    expect(stop).toHaveBeenCalledTimes(1);
+    expect(exit).toHaveBeenCalledTimes(1);
+  });
+
+  test('should shut down on signals and exit immediately on a second signal', async () => {
+    const shutdownSpy = jest.spyOn(coordinator, 'shutdown');
+    coordinator.track(new Promise(() => {}));
+    coordinator.listen(['SIGUSR2']);
+
+    process.emit('SIGUSR2');
+    expect(shutdownSpy).toHaveBeenCalledWith('SIGUSR2');
+    expect(exit).not.toHaveBeenCalled();
+
+    process.emit('SIGUSR2');
+    expect(exit).toHaveBeenCalledWith(1);
+
+    await shutdownSpy.mock.results[0].value;
+  });
+
+  test('should remove its signal handlers', () => {
+    const before = process.listenerCount('SIGUSR2');
+    coordinator.listen(['SIGUSR2']);
+    expect(process.listenerCount('SIGUSR2')).toBe(before + 1);
+
+    coordinator.unlisten();
+    expect(process.listenerCount('SIGUSR2')).toBe(before);
+  });
+});
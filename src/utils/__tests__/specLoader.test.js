@@ -0,0 +1,163 @@
+/**
+ * Tests for the specification loader
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const mockFetch = jest.fn();
+jest.unstable_mockModule('node-fetch', () => ({
+  default: mockFetch,
+}));
+
+const { isRemoteSource, resolveSourcePath, detectFormat, parseSpecification, loadSpecification } =
+  await import('../specLoader.js');
+
+const JSON_SPEC = { openapi: '3.0.1', paths: { '/test': { get: { operationId: 'getTest' } } } };
+const YAML_SPEC = `openapi: 3.0.1
+paths:
+  /test:
+    get:
+      operationId: getTest
+`;
+
+describe('specLoader', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spec-loader-'));
+    fs.writeFileSync(path.join(tempDir, 'spec.json'), JSON.stringify(JSON_SPEC));
+    fs.writeFileSync(path.join(tempDir, 'spec.yaml'), YAML_SPEC);
+    fs.writeFileSync(path.join(tempDir, 'spec'), YAML_SPEC);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isRemoteSource', () => {
+    test('should recognize http and https URLs', () => {
+      expect(isRemoteSource('https://api.coredatastore.com/swagger/v1/swagger.json')).toBe(true);
+      expect(isRemoteSource('http://localhost/spec.yaml')).toBe(true);
+    });
+
+    test('should treat file URLs and paths as local', () => {
+      expect(isRemoteSource('file:///tmp/spec.json')).toBe(false);
+      expect(isRemoteSource('./spec.yaml')).toBe(false);
+    });
+  });
+
+  describe('resolveSourcePath', () => {
+    test('should convert file URLs to paths', () => {
+      const filePath = path.join(tempDir, 'spec.json');
+      expect(resolveSourcePath(pathToFileURL(filePath).href)).toBe(filePath);
+    });
+
+    test('should resolve relative paths against the working directory', () => {
+      expect(resolveSourcePath('specs/spec.yaml')).toBe(
+        path.resolve(process.cwd(), 'specs/spec.yaml')
+      );
+    });
+  });
+
+  describe('detectFormat', () => {
+    test('should prefer the content type', () => {
+      expect(detectFormat('https://host/spec', 'application/json; charset=utf-8')).toBe('json');
+      expect(detectFormat('https://host/spec.json', 'application/x-yaml')).toBe('yaml');
+    });
+
+    test('should fall back to the extension', () => {
+      expect(detectFormat('https://host/spec.yml?version=2')).toBe('yaml');
+      expect(detectFormat('/tmp/spec.JSON')).toBe('json');
+    });
+
+    test('should return null when the format is unknown', () => {
+      expect(detectFormat('/tmp/spec', 'text/plain')).toBeNull();
+    });
+  });
+
+  describe('parseSpecification', () => {
+    test('should parse JSON and YAML', () => {
+      expect(parseSpecification(JSON.stringify(JSON_SPEC), 'json')).toEqual(JSON_SPEC);
+      expect(parseSpecification(YAML_SPEC, 'yaml')).toEqual(JSON_SPEC);
+    });
+
+    test('should detect the format from the content', () => {
+      expect(parseSpecification(`  ${JSON.stringify(JSON_SPEC)}`)).toEqual(JSON_SPEC);
+      expect(parseSpecification(YAML_SPEC)).toEqual(JSON_SPEC);
+    });
+  });
+
+  describe('loadSpecification', () => {
+    test('should load JSON from a plain path', async () => {
+      const spec = await loadSpecification(path.join(tempDir, 'spec.json'));
+      expect(spec).toEqual(JSON_SPEC);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    test('should load YAML from a file URL', async () => {
+      const spec = await loadSpecification(pathToFileURL(path.join(tempDir, 'spec.yaml')).href);
+      expect(spec).toEqual(JSON_SPEC);
+    });
+
+    test('should load a local file without an extension', async () => {
+      const spec = await loadSpecification(path.join(tempDir, 'spec'));
+      expect(spec).toEqual(JSON_SPEC);
+    });
+
+    test('should fetch remote JSON specifications', async () => {
+      mockFetch.mockResolvedValue({
+        ok: true,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(JSON_SPEC),
+      });
+
+      const spec = await loadSpecification('https://host/swagger/v1/swagger.json');
+
+      expect(mockFetch).toHaveBeenCalledWith(
+        'https://host/swagger/v1/swagger.json',
+        expect.any(Object)
+      );
+      expect(spec).toEqual(JSON_SPEC);
+    });
+
+    test('should fetch remote YAML specifications', async () => {
+      mockFetch.mockResolvedValue({
+        ok: true,
+        headers: { get: () => 'application/yaml' },
+        text: () => Promise.resolve(YAML_SPEC),
+      });
+
+      const spec = await loadSpecification('https://host/openapi');
+      expect(spec).toEqual(JSON_SPEC);
+    });
+
+    test('should throw an ApiError when the remote request fails', async () => {
+      mockFetch.mockResolvedValue({
+        ok: false,
+        status: 404,
+        statusText: 'Not Found',
+        headers: { get: () => null },
+      });
+
+      await expect(loadSpecification('https://host/missing.json')).rejects.toMatchObject({
+        name: 'ApiError',
+        status: 404,
+      });
+    });
+
+    test('should reject missing files', async () => {
+      await expect(loadSpecification(path.join(tempDir, 'missing.json'))).rejects.toThrow();
+    });
+
+    test('should reject an empty source', async () => {
+      await expect(loadSpecification('')).rejects.toThrow('No specification source configured');
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Tests for the specification normalizer
+ */
+import { getSpecVersion, convertSwagger2, normalizeSpecification } from '../specNormalizer.js';
+
+const swagger2Spec = {
+  swagger: '2.0',
+  info: { title: 'Landmarks', version: '1.0' },
+  host: 'api.coredatastore.com',
+  basePath: '/api',
+  schemes: ['https'],
+  consumes: ['application/json'],
+  produces: ['application/json'],
+  parameters: {
+    limit: { name: 'limit', in: 'query', type: 'integer', default: 20 },
+  },
+  paths: {
+    '/LpcReport/{lpcId}': {
+      parameters: [{ name: 'lpcId', in: 'path', required: true, type: 'string' }],
+      get: {
+        operationId: 'getLpcReport',
+        tags: ['LpcReport'],
+        parameters: [
+          { $ref: '#/parameters/limit' },
+          {
+            name: 'boroughs',
+            in: 'query',
+            type: 'array',
+            items: { type: 'string' },
+            collectionFormat: 'multi',
+          },
+          { name: 'X-Tenant', in: 'header', type: 'string', 'x-example': 'nyc' },
+        ],
+        responses: {
+          200: {
+            description: 'OK',
+            schema: { $ref: '#/definitions/LpcReport' },
+            headers: { 'X-Total': { type: 'integer', description: 'Total count' } },
+          },
+        },
+      },
+      put: {
+        operationId: 'updateLpcReport',
+        consumes: ['application/json', 'text/json'],
+        parameters: [
+          {
+            name: 'report',
+            in: 'body',
+            required: true,
+            schema: { $ref: '#/definitions/LpcReport' },
+          },
+        ],
+        responses: { 204: { description: 'Updated' } },
+      },
+    },
+    '/Photos': {
+      post: {
+        operationId: 'uploadPhoto',
+        consumes: ['multipart/form-data'],
+        parameters: [
+          { name: 'file', in: 'formData', type: 'file', required: true },
+          { name: 'caption', in: 'formData', type: 'string', description: 'Caption' },
+        ],
+        responses: { 201: { description: 'Created' } },
+      },
+    },
+  },
+  definitions: {
+    LpcReport: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', 'x-nullable': true },
+        photos: { type: 'array', items: { $ref: '#/definitions/Photo' } },
+      },
+    },
+    Photo: { type: 'object', properties: { url: { type: 'string' } } },
+  },
+  securityDefinitions: {
+    basicAuth: { type: 'basic' },
+    apiKey: { type: 'apiKey', name: 'X-API-Key', in: 'header' },
+    oauth: {
+      type: 'oauth2',
+      flow: 'application',
+      tokenUrl: 'https://auth.coredatastore.com/token',
+      scopes: { read: 'Read access' },
+    },
+  },
+  'x-logo': { url: 'logo.png' },
+};
+
+describe('specNormalizer', () => {
+  describe('getSpecVersion', () => {
+    test('should detect Swagger 2.0 and OpenAPI 3 documents', () => {
+      expect(getSpecVersion({ swagger: '2.0' })).toBe('swagger2');
+      expect(getSpecVersion({ openapi: '3.0.1' })).toBe('openapi3');
+      expect(getSpecVersion({ openapi: '3.1.0' })).toBe('openapi3');
+    });
+
+    test('should return null for undeclared versions', () => {
+      expect(getSpecVersion({ paths: {} })).toBeNull();
+      expect(getSpecVersion(null)).toBeNull();
+    });
+  });
+
+  describe('convertSwagger2', () => {
+    let converted;
+
+    beforeAll(() => {
+      converted = convertSwagger2(swagger2Spec);
+    });
+
+    test('should produce an OpenAPI 3 document', () => {
+      expect(converted.openapi).toMatch(/^3\./);
+      expect(converted.info).toEqual(swagger2Spec.info);
+      expect(converted['x-logo']).toEqual({ url: 'logo.png' });
+      expect(converted.swagger).toBeUndefined();
+    });
+
+    test('should build servers from host, basePath and schemes', () => {
+      expect(converted.servers).toEqual([{ url: 'https://api.coredatastore.com/api' }]);
+      expect(convertSwagger2({ basePath: '/v1', paths: {} }).servers).toEqual([{ url: '/v1' }]);
+      expect(convertSwagger2({ paths: {} }).servers).toEqual([]);
+    });
+
+    test('should move definitions to components and rewrite references', () => {
+      const { LpcReport } = converted.components.schemas;
+
+      expect(LpcReport.properties.photos.items).toEqual({ $ref: '#/components/schemas/Photo' });
+      expect(LpcReport.properties.name).toEqual({ type: 'string', nullable: true });
+    });
+
+    test('should convert non-body parameters into schema form', () => {
+      const pathItem = converted.paths['/LpcReport/{lpcId}'];
+      const [limit, boroughs, tenant] = pathItem.get.parameters;
+
+      expect(pathItem.parameters).toEqual([
+        { name: 'lpcId', in: 'path', required: true, schema: { type: 'string' } },
+      ]);
+      expect(limit).toEqual({
+        name: 'limit',
+        in: 'query',
+        schema: { type: 'integer', default: 20 },
+      });
+      expect(boroughs).toEqual({
+        name: 'boroughs',
+        in: 'query',
+        schema: { type: 'array', items: { type: 'string' } },
+        style: 'form',
+        explode: true,
+      });
+      expect(tenant['x-example']).toBe('nyc');
+      expect(converted.components.parameters.limit.schema).toEqual({
+        type: 'integer',
+        default: 20,
+      });
+    });
+
+    test('should convert body parameters into a request body', () => {
+      const { requestBody } = converted.paths['/LpcReport/{lpcId}'].put;
+
+      expect(requestBody.required).toBe(true);
+      expect(Object.keys(requestBody.content)).toEqual(['application/json', 'text/json']);
+      expect(requestBody.content['application/json'].schema).toEqual({
+        $ref: '#/components/schemas/LpcReport',
+      });
+    });
+
+    test('should convert formData parameters into a form request body', () => {
+      const { requestBody } = converted.paths['/Photos'].post;
+      const { schema } = requestBody.content['multipart/form-data'];
+
+      expect(schema.properties.file).toEqual({ type: 'string', format: 'binary' });
+      expect(schema.properties.caption).toEqual({ type: 'string', description: 'Caption' });
+      expect(schema.required).toEqual(['file']);
+    });
+
+    test('should convert responses using produces', () => {
+      const response = converted.paths['/LpcReport/{lpcId}'].get.responses['200'];
+
+      expect(response.content['application/json'].schema).toEqual({
+        $ref: '#/components/schemas/LpcReport',
+      });
+      expect(response.headers['X-Total']).toEqual({
+        description: 'Total count',
+        schema: { type: 'integer' },
+      });
+    });
+
+    test('should convert security definitions', () => {
+      const { securitySchemes } = converted.components;
+
+      expect(securitySchemes.basicAuth).toMatchObject({ type: 'http', scheme: 'basic' });
+      expect(securitySchemes.apiKey).toEqual(swagger2Spec.securityDefinitions.apiKey);
+      expect(securitySchemes.oauth.flows.clientCredentials.tokenUrl).toBe(
+        'https://auth.coredatastore.com/token'
+      );
+    });
+  });
+
+  describe('normalizeSpecification', () => {
+    test('should convert Swagger 2.0 documents', () => {
+      expect(normalizeSpecification(swagger2Spec).openapi).toMatch(/^3\./);
+    });
+
+    test('should return OpenAPI 3 and unversioned documents unchanged', () => {
+      const openapi = { openapi: '3.0.1', paths: {} };
+      const unversioned = { paths: {} };
+
+      expect(normalizeSpecification(openapi)).toBe(openapi);
+      expect(normalizeSpecification(unversioned)).toBe(unversioned);
+    });
+  });
+});
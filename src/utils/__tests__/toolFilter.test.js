@@ -0,0 +1,83 @@
+/**
+ * Tests for the ToolFilter utility
+ */
+import { ConfigError } from '../../config/index.js';
+import { ToolFilter, globToRegExp, parseRule } from '../toolFilter.js';
+
+const listReports = {
+  name: 'getLpcReports',
+  method: 'get',
+  path: '/api/LpcReport',
+  tags: ['Reports'],
+};
+const deleteReport = {
+  name: 'deleteLpcReport',
+  method: 'delete',
+  path: '/api/LpcReport/{lpcId}',
+  tags: ['Reports', 'Admin'],
+};
+const createBuilding = {
+  name: 'createBuilding',
+  method: 'post',
+  path: '/api/Building',
+  tags: ['Buildings'],
+};
+
+describe('globToRegExp', () => {
+  test('should match * and ? and escape everything else', () => {
+    expect(globToRegExp('getLpc*').test('getLpcReports')).toBe(true);
+    expect(globToRegExp('/api/*/{id}').test('/api/Building/{id}')).toBe(true);
+    expect(globToRegExp('v?.json').test('v2.json')).toBe(true);
+    expect(globToRegExp('v?.json').test('v2xjson')).toBe(false);
+    expect(globToRegExp('GET', true).test('get')).toBe(true);
+  });
+});
+
+describe('parseRule', () => {
+  test('should reject unknown rule kinds', () => {
+    expect(() => parseRule('verb:get')).toThrow(ConfigError);
+    expect(() => parseRule('get')).toThrow('Invalid tool rule get');
+  });
+
+  test('should match methods case-insensitively and the rest as written', () => {
+    expect(parseRule('method:DELETE').matches(deleteReport)).toBe(true);
+    expect(parseRule('tag:Admin').matches(deleteReport)).toBe(true);
+    expect(parseRule('tag:admin').matches(deleteReport)).toBe(false);
+    expect(parseRule('operation:*Lpc*').matches(listReports)).toBe(true);
+    expect(parseRule('path:/api/LpcReport/*').matches(deleteReport)).toBe(true);
+    expect(parseRule('path:/api/LpcReport/*').matches(listReports)).toBe(false);
+  });
+});
+
+describe('ToolFilter', () => {
+  test('should expose everything by default', () => {
+    const filter = new ToolFilter();
+
+    expect([listReports, deleteReport, createBuilding].every(op => filter.includes(op))).toBe(true);
+  });
+
+  test('should only expose safe methods in read-only mode', () => {
+    const filter = new ToolFilter({ readOnly: true, allow: ['tag:Reports'] });
+
+    expect(filter.includes(listReports)).toBe(true);
+    expect(filter.exclusionReason(deleteReport)).toBe('read-only mode');
+    expect(filter.includes(createBuilding)).toBe(false);
+  });
+
+  test('should require a matching allow rule when any are given', () => {
+    const filter = new ToolFilter({ allow: ['tag:Reports', 'operation:createBuilding'] });
+
+    expect(filter.includes(listReports)).toBe(true);
+    expect(filter.includes(createBuilding)).toBe(true);
+    expect(filter.exclusionReason({ ...createBuilding, name: 'updateBuilding' })).toBe(
+      'not in the allow list'
+    );
+  });
+
+  test('should let deny rules win over allow rules', () => {
+    const filter = new ToolFilter({ allow: ['tag:Reports'], deny: ['method:delete'] });
+
+    expect(filter.includes(listReports)).toBe(true);
+    expect(filter.exclusionReason(deleteReport)).toBe('denied by method:delete');
+  });
+});
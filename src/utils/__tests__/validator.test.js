@@ -70,6 +70,85 @@ describe('Validator', () => {
       // We know the error formatting happens internally - no need to verify the mock
       // The important thing is that the validation fails properly
     });
+    test('should validate OpenAPI formats', () => {
+      const tool = {
+        inputSchema: {
+          type: 'object',
+          properties: {
+            since: { type: 'string', format: 'date' },
+            count: { type: 'integer', format: 'int32' },
+          },
+        },
+      };
+
+      expect(() => {
+        Validator.validateToolInput(tool, { since: '2024-01-31', count: 5 });
+      }).not.toThrow();
+
+      expect(() => {
+        Validator.validateToolInput(tool, { since: 'last tuesday' });
+      }).toThrow(McpError);
+    });
+
+    test('should accept type unions produced from nullable schemas', () => {
+      const tool = {
+        inputSchema: {
+          type: 'object',
+          properties: {
+            borough: {
+              type: ['string', 'null'],
+              enum: ['Manhattan', null],
+              examples: ['Manhattan'],
+            },
+          },
+        },
+      };
+
+      expect(() => {
+        Validator.validateToolInput(tool, { borough: null });
+      }).not.toThrow();
+    });
+  });
+
+  describe('getCompiledValidator', () => {
+    test('should compile each schema only once', () => {
+      const schema = { type: 'object', properties: { name: { type: 'string' } } };
+
+      const first = Validator.getCompiledValidator(schema);
+      const second = Validator.getCompiledValidator(schema);
+
+      expect(second).toBe(first);
+      expect(Validator.getCompiledValidator({ ...schema })).not.toBe(first);
+    });
+  });
+
+  describe('structured errors', () => {
+    test('should attach formatted validation errors to schema failures', () => {
+      const tool = {
+        inputSchema: { type: 'object', properties: { age: { type: 'integer' } } },
+      };
+
+      try {
+        Validator.validateToolInput(tool, { age: 'ten' });
+        throw new Error('Expected validation to fail');
+      } catch (error) {
+        expect(error.data.details.errors[0]).toMatchObject({ path: '/age', keyword: 'type' });
+      }
+    });
+
+    test('should attach formatted validation errors to missing parameters', () => {
+      const tool = { inputSchema: { type: 'object', required: ['name'] } };
+
+      try {
+        Validator.validateAll(tool, {});
+        throw new Error('Expected validation to fail');
+      } catch (error) {
+        expect(error.data.details.errors[0]).toMatchObject({
+          keyword: 'required',
+          params: { missingProperty: 'name' },
+        });
+      }
+    });
   });
 
   describe('validateRequiredParams', () => {
@@ -0,0 +1,359 @@
+/**
+ * Inbound authentication with static API keys and bearer JWTs, and the scopes that decide
+ * which tools and endpoints a caller may use
+ */
+import { createHash, createHmac, createPublicKey, timingSafeEqual, verify } from 'node:crypto';
+import { ConfigError, readConfigFile } from '../config/index.js';
+
+// JSON-RPC error codes for failed authentication and authorization
+export const AUTH_ERROR_CODES = {
+  401: -32001,
+  403: -32003,
+};
+
+// Signature algorithms accepted for JWTs, by the `alg` header
+const JWT_ALGORITHMS = {
+  HS256: { type: 'hmac', hash: 'sha256' },
+  HS384: { type: 'hmac', hash: 'sha384' },
+  HS512: { type: 'hmac', hash: 'sha512' },
+  RS256: { type: 'RSA', hash: 'sha256' },
+  RS384: { type: 'RSA', hash: 'sha384' },
+  RS512: { type: 'RSA', hash: 'sha512' },
+  ES256: { type: 'EC', hash: 'sha256' },
+  ES384: { type: 'EC', hash: 'sha384' },
+  ES512: { type: 'EC', hash: 'sha512' },
+};
+
+// Three base64url segments separated by dots
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]*$/;
+
+/**
+ * Error for requests that fail authentication (401) or authorization (403)
+ */
+export class AuthError extends Error {
+  /**
+   * Create a new authentication error
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code (default: 401)
+   */
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Hash an API key the way keys are stored in the configuration
+ * @param {string} key - API key
+ * @returns {string} SHA-256 digest in hex
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Check whether scopes include a given scope, directly or through '*'
+ * @param {Array<string>} scopes - Granted scopes
+ * @param {string} scope - Required scope, e.g. 'admin'
+ * @returns {boolean} True if granted
+ */
+export function hasScope(scopes, scope) {
+  return scopes.includes('*') || scopes.includes(scope);
+}
+
+/**
+ * Check whether scopes allow listing and calling a tool: 'tools:*' allows every tool,
+ * 'tools:<name>' a single tool and 'tags:<tag>' the tools of operations with that tag
+ * @param {Array<string>} scopes - Granted scopes
+ * @param {Object} tool - Tool with its name and metadata
+ * @returns {boolean} True if the tool may be used
+ */
+export function canUseTool(scopes, tool) {
+  return scopes.some(
+    scope =>
+      scope === '*' ||
+      scope === 'tools:*' ||
+      scope === `tools:${tool.name}` ||
+      (scope.startsWith('tags:') && (tool.metadata?.tags || []).includes(scope.slice(5)))
+  );
+}
+
+/**
+ * Verifies the credentials presented with a request
+ */
+export class Authenticator {
+  /**
+   * Create a new authenticator
+   * @param {Object} options - Auth settings
+   * @param {Array<Object>} options.apiKeys - API keys as { name, hash, scopes }, where hash is
+   *   the SHA-256 hex digest of the key
+   * @param {string} options.apiKeysFile - JSON or YAML file with more keys as { keys: [...] }
+   * @param {Object} options.jwt - JWT settings: secret for HS* tokens, jwksFile with public keys
+   *   for RS* and ES* tokens, and the expected issuer and audience
+   * @param {Array<string>} options.defaultScopes - Scopes of keys and tokens that declare none
+   * @throws {ConfigError} If a file cannot be read or nothing can verify credentials
+   */
+  constructor(options = {}) {
+    this.jwt = options.jwt || {};
+    this.defaultScopes = options.defaultScopes || ['tools:*'];
+
+    const fileKeys = options.apiKeysFile ? readConfigFile(options.apiKeysFile).keys || [] : [];
+    this.apiKeys = [...(options.apiKeys || []), ...fileKeys].map(key => this.loadApiKey(key));
+    this.jwks = this.jwt.jwksFile ? this.loadJwks(this.jwt.jwksFile) : [];
+
+    if (this.apiKeys.length === 0 && !this.jwt.secret && this.jwks.length === 0) {
+      throw new ConfigError(
+        'Authentication is enabled but no API keys, JWT secret or JWKS file are configured'
+      );
+    }
+  }
+
+  /**
+   * Validate a configured API key
+   * @param {Object} key - Key as { name, hash, scopes }
+   * @returns {Object} Key with its hash as a buffer
+   */
+  loadApiKey(key) {
+    if (typeof key?.name !== 'string' || !/^[0-9a-f]{64}$/i.test(key.hash || '')) {
+      throw new ConfigError(
+        `Invalid API key ${key?.name || '(unnamed)'}: expected a name and a SHA-256 hex hash`
+      );
+    }
+    return {
+      name: key.name,
+      hash: Buffer.from(key.hash, 'hex'),
+      scopes: key.scopes || this.defaultScopes,
+    };
+  }
+
+  /**
+   * Read the public keys of a JWKS file, skipping keys meant for encryption
+   * @param {string} file - Path of the JWKS file
+   * @returns {Array<Object>} JWKs with their public key objects
+   */
+  loadJwks(file) {
+    return (readConfigFile(file).keys || [])
+      .filter(jwk => jwk.use !== 'enc')
+      .map(jwk => {
+        try {
+          return { ...jwk, publicKey: createPublicKey({ key: jwk, format: 'jwk' }) };
+        } catch (error) {
+          throw new ConfigError(`Invalid key ${jwk.kid ?? ''} in ${file}: ${error.message}`);
+        }
+      });
+  }
+
+  /**
+   * Authenticate a request from its X-API-Key header or bearer token
+   * @param {Object} req - Express request
+   * @returns {{type: string, subject: string, scopes: Array<string>, header: string}} The
+   *   caller, with the lowercase name of the header its credentials were read from
+   * @throws {AuthError} If credentials are missing or invalid
+   */
+  authenticate(req) {
+    const headers = req.headers || {};
+    const apiKey = headers['x-api-key'];
+    if (apiKey) {
+      return { ...this.verifyApiKey(apiKey), header: 'x-api-key' };
+    }
+
+    const token = headers.authorization?.match(/^Bearer\s+(\S+)$/i)?.[1];
+    if (!token) {
+      throw new AuthError('Authentication required');
+    }
+
+    const verifiesJwts = Boolean(this.jwt.secret) || this.jwks.length > 0;
+    const caller =
+      verifiesJwts && JWT_PATTERN.test(token) ? this.verifyJwt(token) : this.verifyApiKey(token);
+    return { ...caller, header: 'authorization' };
+  }
+
+  /**
+   * Look up an API key by its hash
+   * @param {string} key - Presented API key
+   * @returns {Object} The caller
+   * @throws {AuthError} If the key is unknown
+   */
+  verifyApiKey(key) {
+    const hash = createHash('sha256').update(key).digest();
+    // Compare against every key so the time taken does not reveal which one matched
+    const match = this.apiKeys.reduce(
+      (found, candidate) => (timingSafeEqual(candidate.hash, hash) ? candidate : found),
+      null
+    );
+
+    if (!match) {
+      throw new AuthError('Invalid API key');
+    }
+    return { type: 'apiKey', subject: match.name, scopes: match.scopes };
+  }
+
+  /**
+   * Verify a JWT's signature and claims
+   * @param {string} token - Encoded JWT
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} The caller, with the token's claims
+   * @throws {AuthError} If the token is invalid, expired or not meant for this server
+   */
+  verifyJwt(token, now = Date.now()) {
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch {
+      throw new AuthError('Malformed token');
+    }
+
+    const algorithm = JWT_ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new AuthError(`Unsupported token algorithm: ${header.alg}`);
+    }
+
+    const data = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    if (!this.verifySignature(header, algorithm, data, signature)) {
+      throw new AuthError('Invalid token signature');
+    }
+
+    const seconds = now / 1000;
+    const tolerance = this.jwt.clockTolerance ?? 30;
+    if (typeof claims.exp !== 'number') {
+      throw new AuthError('Token has no expiry');
+    }
+    if (seconds > claims.exp + tolerance) {
+      throw new AuthError('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && seconds < claims.nbf - tolerance) {
+      throw new AuthError('Token not yet valid');
+    }
+    if (this.jwt.issuer && claims.iss !== this.jwt.issuer) {
+      throw new AuthError('Token issuer not accepted');
+    }
+    if (this.jwt.audience && ![claims.aud].flat().includes(this.jwt.audience)) {
+      throw new AuthError('Token audience not accepted');
+    }
+
+    return {
+      type: 'jwt',
+      subject: String(claims.sub ?? claims.client_id ?? 'unknown'),
+      scopes: this.readScopes(claims),
+      claims,
+    };
+  }
+
+  /**
+   * Check a JWT signature. HMAC tokens need the shared secret and RSA or EC tokens a JWKS key
+   * of the same type, so a token cannot switch to an algorithm the key was not meant for.
+   * @param {Object} header - Decoded JWT header
+   * @param {Object} algorithm - Entry of JWT_ALGORITHMS
+   * @param {Buffer} data - Signed header and payload
+   * @param {Buffer} signature - Decoded signature
+   * @returns {boolean} True if the signature is valid
+   */
+  verifySignature(header, algorithm, data, signature) {
+    if (algorithm.type === 'hmac') {
+      if (!this.jwt.secret) {
+        return false;
+      }
+      const expected = createHmac(algorithm.hash, this.jwt.secret).update(data).digest();
+      return expected.length === signature.length && timingSafeEqual(expected, signature);
+    }
+
+    const jwk = header.kid
+      ? this.jwks.find(key => key.kid === header.kid)
+      : this.jwks.length === 1
+        ? this.jwks[0]
+        : undefined;
+    if (!jwk || jwk.kty !== algorithm.type || (jwk.alg && jwk.alg !== header.alg)) {
+      return false;
+    }
+
+    try {
+      return verify(
+        algorithm.hash,
+        data,
+        { key: jwk.publicKey, dsaEncoding: 'ieee-p1363' },
+        signature
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Read the scopes granted by a token from its `scope`, `scopes` or `scp` claim
+   * @param {Object} claims - Token claims
+   * @returns {Array<string>} Scopes
+   */
+  readScopes(claims) {
+    if (typeof claims.scope === 'string') {
+      return claims.scope.split(' ').filter(Boolean);
+    }
+    const scopes = claims.scopes ?? claims.scp;
+    return Array.isArray(scopes) ? scopes : this.defaultScopes;
+  }
+}
+
+/**
+ * Create middleware that authenticates requests and sets req.auth to the caller. Failures are
+ * answered with 401 or 403, as a JSON-RPC error for JSON-RPC requests.
+ * @param {Authenticator} authenticator - Authenticator to verify credentials with
+ * @param {Object} options - Middleware options
+ * @param {string} options.scope - Scope the caller must have, if any
+ * @param {Logger} options.logger - Logger for rejected requests
+ * @returns {Function} Express middleware
+ */
+export function createAuthMiddleware(authenticator, options = {}) {
+  return (req, res, next) => {
+    try {
+      req.auth = authenticator.authenticate(req);
+      if (options.scope && !hasScope(req.auth.scopes, options.scope)) {
+        throw new AuthError(`Forbidden: requires the ${options.scope} scope`, 403);
+      }
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        next(error);
+        return;
+      }
+
+      options.logger?.warn(`Rejected request to ${req.originalUrl}: ${error.message}`, {
+        subject: req.auth?.subject,
+      });
+      sendAuthError(req, res, error);
+      return;
+    }
+
+    next();
+  };
+}
+
+/**
+ * Answer a request that failed authentication or authorization
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {AuthError} error - The failure
+ */
+export function sendAuthError(req, res, error) {
+  if (error.status === 401) {
+    res.set('WWW-Authenticate', 'Bearer realm="swagger-mcp"');
+  }
+
+  const isJsonRpc = Array.isArray(req.body) || req.body?.jsonrpc === '2.0';
+  res.status(error.status).json(
+    isJsonRpc
+      ? {
+          jsonrpc: '2.0',
+          error: {
+            code: AUTH_ERROR_CODES[error.status],
+            message: error.message,
+            data: { status: error.status },
+          },
+          id: Array.isArray(req.body) ? null : (req.body.id ?? null),
+        }
+      : { error: error.message }
+  );
+}
@@ -17,6 +17,8 @@ export class ResponseCache {
       this.cleanupInterval = setInterval(() => {
         this.cleanup();
       }, options.cleanupInterval);
+      // Importing the module must not keep the process alive
+      this.cleanupInterval.unref?.();
     }
   }
 
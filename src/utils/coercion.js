@@ -0,0 +1,198 @@
+/**
+ * Argument coercion for loosely typed tool inputs (e.g. "42" for an integer parameter)
+ */
+
+/**
+ * Gets the list of types a schema allows
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<string>} Allowed types, empty if the schema does not declare any
+ */
+function schemaTypes(schema) {
+  if (!schema?.type) {
+    return [];
+  }
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Coerces a string to a number if it is a well-formed numeric literal
+ * @param {string} value - String value
+ * @param {boolean} integer - Whether only integers are acceptable
+ * @returns {number|undefined} Coerced number or undefined if not numeric
+ */
+function coerceNumber(value, integer) {
+  const trimmed = value.trim();
+  if (trimmed === '' || !/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed)) {
+    return undefined;
+  }
+
+  const number = Number(trimmed);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+    return undefined;
+  }
+
+  return number;
+}
+
+/**
+ * Normalizes the formatting of a date or date-time string to ISO 8601 without changing the
+ * moment it denotes: dates keep their calendar day and date-times keep their offset. Date-times
+ * without an offset are left alone, since no offset can be assumed for them.
+ * @param {string} value - Date string
+ * @param {string} format - 'date' or 'date-time'
+ * @returns {string|undefined} Normalized value or undefined if it cannot be normalized
+ */
+function normalizeDate(value, format) {
+  // Only accept ISO 8601 style input; Date.parse is too lenient for anything else
+  const match = value.match(
+    /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(:\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/
+  );
+  if (!match) {
+    return undefined;
+  }
+
+  // Reject impossible calendar days such as 2024-02-30
+  const [, day, time, seconds = ':00', offset = ''] = match;
+  const parsed = new Date(`${day}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== day) {
+    return undefined;
+  }
+
+  if (format === 'date') {
+    return day;
+  }
+  if (!time || !offset) {
+    return undefined;
+  }
+
+  const normalizedOffset =
+    offset.length === 5 ? `${offset.slice(0, 3)}:${offset.slice(3)}` : offset;
+  return `${day}T${time}${seconds}${normalizedOffset}`;
+}
+
+/**
+ * ArgumentCoercer converts loosely typed values to the types declared by a tool's input schema
+ */
+export class ArgumentCoercer {
+  /**
+   * Coerce all arguments of a tool call against its input schema
+   * @param {Object} schema - Tool input schema
+   * @param {Object} args - Tool arguments
+   * @returns {{args: Object, coercions: Array<Object>}} Coerced arguments and applied coercions
+   */
+  static coerceArguments(schema, args) {
+    const coercions = [];
+
+    if (!schema?.properties || !args || typeof args !== 'object') {
+      return { args, coercions };
+    }
+
+    const coerced = this.coerceObject(schema, args, '', coercions);
+    return { args: coerced, coercions };
+  }
+
+  /**
+   * Coerce the properties of an object value
+   * @param {Object} schema - Object schema
+   * @param {Object} value - Object value
+   * @param {string} path - JSON pointer of the value, for reporting
+   * @param {Array<Object>} coercions - Collected coercions
+   * @returns {Object} Coerced copy of the object
+   */
+  static coerceObject(schema, value, path, coercions) {
+    const result = { ...value };
+
+    for (const [name, propSchema] of Object.entries(schema.properties || {})) {
+      if (result[name] !== undefined) {
+        result[name] = this.coerceValue(propSchema, result[name], `${path}/${name}`, coercions);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Coerce a single value against its schema
+   * @param {Object} schema - Value schema
+   * @param {any} value - Value to coerce
+   * @param {string} path - JSON pointer of the value, for reporting
+   * @param {Array<Object>} coercions - Collected coercions
+   * @returns {any} Coerced value, or the original value if no coercion applies
+   */
+  static coerceValue(schema, value, path, coercions) {
+    const types = schemaTypes(schema);
+    // Only types are recorded, since argument values may be credentials
+    const record = (to, coercedValue) => {
+      coercions.push({ path, from: Array.isArray(value) ? 'array' : typeof value, to });
+      return coercedValue;
+    };
+
+    if (value === null || types.length === 0) {
+      return value;
+    }
+
+    // Values that already match a declared type are only normalized, never converted
+    if (types.includes('array')) {
+      if (Array.isArray(value)) {
+        return value.map((item, index) =>
+          this.coerceValue(schema.items, item, `${path}/${index}`, coercions)
+        );
+      }
+
+      if (!types.includes('string') || typeof value !== 'string') {
+        let items = [value];
+        if (typeof value === 'string' && value.includes(',')) {
+          items = value.split(',').map(item => item.trim());
+        }
+
+        const coercedItems = items.map((item, index) =>
+          this.coerceValue(schema.items, item, `${path}/${index}`, coercions)
+        );
+        return record(items.length > 1 ? 'array (comma-separated)' : 'array', coercedItems);
+      }
+    }
+
+    if (types.includes('object') && typeof value === 'object' && !Array.isArray(value)) {
+      return this.coerceObject(schema, value, path, coercions);
+    }
+
+    if (typeof value === 'string') {
+      if (types.includes('string')) {
+        if (schema.format === 'date' || schema.format === 'date-time') {
+          const normalized = normalizeDate(value, schema.format);
+          if (normalized !== undefined && normalized !== value) {
+            return record(schema.format, normalized);
+          }
+        }
+        return value;
+      }
+
+      if (types.includes('integer') || types.includes('number')) {
+        const number = coerceNumber(value, !types.includes('number'));
+        if (number !== undefined) {
+          return record(types.includes('number') ? 'number' : 'integer', number);
+        }
+      }
+
+      if (types.includes('boolean')) {
+        const lower = value.trim().toLowerCase();
+        if (lower === 'true' || lower === 'false') {
+          return record('boolean', lower === 'true');
+        }
+      }
+
+      return value;
+    }
+
+    if (
+      (typeof value === 'number' || typeof value === 'boolean') &&
+      types.includes('string') &&
+      !types.includes(typeof value) &&
+      !(typeof value === 'number' && types.includes('integer'))
+    ) {
+      return record('string', String(value));
+    }
+
+    return value;
+  }
+}
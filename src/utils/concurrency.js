@@ -0,0 +1,28 @@
+/**
+ * Concurrency helpers for running asynchronous work with a bounded number of tasks in flight
+ */
+
+/**
+ * Map items through an async function, running at most `limit` calls at once
+ * @param {Array<any>} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with each item and its index
+ * @returns {Promise<Array<any>>} Results in the order of the input items
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  // Each worker takes the next unprocessed item until none are left
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
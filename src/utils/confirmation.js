@@ -0,0 +1,180 @@
+/**
+ * Confirmation of tool calls that change data. Clients that support MCP elicitation ask their
+ * user directly; other clients get a single-use token to repeat the call with once the user agrees.
+ */
+import { createHash, randomUUID } from 'node:crypto';
+import { parseRule } from './toolFilter.js';
+
+// Tool argument that carries the confirmation token on the repeated call
+export const CONFIRMATION_ARGUMENT = 'confirmationToken';
+
+// Form shown by clients that support elicitation
+const CONFIRMATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    confirm: {
+      type: 'boolean',
+      title: 'Send this request',
+      description: 'The request changes data in the upstream API',
+    },
+  },
+  required: ['confirm'],
+};
+
+/**
+ * Serialize a value with sorted object keys, so equal arguments always give the same text
+ * @param {any} value - Value to serialize
+ * @returns {string} JSON text
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Describe a request for the person asked to confirm it
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Resolved URL
+ * @param {Object|null} request.body - JSON body, if any
+ * @returns {string} Method, URL and pretty-printed body
+ */
+export function describeRequest({ method, url, body }) {
+  const line = `${method.toUpperCase()} ${url}`;
+  return body ? `${line}\n\nBody:\n${JSON.stringify(body, null, 2)}` : line;
+}
+
+/**
+ * Decides which tool calls need confirmation and keeps track of issued tokens
+ */
+export class ConfirmationGate {
+  /**
+   * Create a new confirmation gate
+   * @param {Object} options - Gate options
+   * @param {boolean} options.enabled - Whether any call needs confirmation
+   * @param {Array<string>} options.require - Rules for calls that need confirmation, in the
+   *   method:, tag:, operation: and path: syntax of the tool filter
+   * @param {Array<string>} options.skip - Rules for calls that never need it
+   * @param {number} options.timeout - Milliseconds to wait for an answer, and to accept a token
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled === true;
+    this.require = (options.require || []).map(parseRule);
+    this.skip = (options.skip || []).map(parseRule);
+    this.timeout = options.timeout ?? 5 * 60 * 1000; // 5 minutes
+    // Token -> { toolName, fingerprint, clientKey, expiresAt }
+    this.tokens = new Map();
+  }
+
+  /**
+   * Check whether calls to a tool need confirmation
+   * @param {Object} tool - Tool with its path, method and tags in metadata
+   * @returns {boolean} True if calls must be confirmed
+   */
+  isRequired(tool) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const { path, method, tags = [] } = tool.metadata || {};
+    const operation = { name: tool.name, path, method, tags };
+    return (
+      this.require.some(rule => rule.matches(operation)) &&
+      !this.skip.some(rule => rule.matches(operation))
+    );
+  }
+
+  /**
+   * Build the parameters of an elicitation/create request
+   * @param {string} toolName - Tool being called
+   * @param {string} description - Request description, see describeRequest
+   * @returns {{message: string, requestedSchema: Object}} Elicitation parameters
+   */
+  elicitation(toolName, description) {
+    return {
+      message: `Confirm the ${toolName} call:\n\n${description}`,
+      requestedSchema: CONFIRMATION_SCHEMA,
+    };
+  }
+
+  /**
+   * Check whether the user accepted an elicitation
+   * @param {Object} result - elicitation/create result
+   * @returns {boolean} True only for an accepted form with confirm set
+   */
+  isAccepted(result) {
+    return result?.action === 'accept' && result.content?.confirm === true;
+  }
+
+  /**
+   * Issue a token that confirms one repeated call with the same arguments by the same client
+   * @param {string} toolName - Tool being called
+   * @param {Object} args - Tool arguments, without any token
+   * @param {string} clientKey - Client making the call
+   * @param {number} now - Current time in milliseconds
+   * @returns {string} Token
+   */
+  issueToken(toolName, args, clientKey, now = Date.now()) {
+    this.prune(now);
+
+    const token = randomUUID();
+    this.tokens.set(token, {
+      toolName,
+      fingerprint: this.fingerprint(args),
+      clientKey,
+      expiresAt: now + this.timeout,
+    });
+    return token;
+  }
+
+  /**
+   * Use up a token. It only confirms the call it was issued for, and only once.
+   * @param {string} token - Token from the arguments
+   * @param {string} toolName - Tool being called
+   * @param {Object} args - Tool arguments, without the token
+   * @param {string} clientKey - Client making the call
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if the token confirms this call
+   */
+  redeemToken(token, toolName, args, clientKey, now = Date.now()) {
+    const entry = this.tokens.get(token);
+    this.tokens.delete(token);
+
+    return Boolean(
+      entry &&
+        entry.expiresAt > now &&
+        entry.toolName === toolName &&
+        entry.clientKey === clientKey &&
+        entry.fingerprint === this.fingerprint(args)
+    );
+  }
+
+  /**
+   * Hash arguments, so tokens are bound to them without keeping their values
+   * @param {Object} args - Tool arguments
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint(args) {
+    return createHash('sha256').update(stableStringify(args)).digest('hex');
+  }
+
+  /**
+   * Forget expired tokens
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now = Date.now()) {
+    for (const [token, entry] of this.tokens) {
+      if (entry.expiresAt <= now) {
+        this.tokens.delete(token);
+      }
+    }
+  }
+}
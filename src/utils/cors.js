@@ -0,0 +1,84 @@
+/**
+ * CORS middleware for browser-based MCP clients, driven by the `cors` configuration
+ */
+
+// Methods used by the MCP transports
+const ALLOWED_METHODS = ['GET', 'POST', 'DELETE', 'OPTIONS'];
+
+/**
+ * Normalizes an origin for comparison: lower case, without a trailing slash
+ * @param {string} origin - Origin such as https://mcp.coredatastore.com
+ * @returns {string} Normalized origin
+ */
+function normalizeOrigin(origin) {
+  return origin.trim().replace(/\/+$/, '').toLowerCase();
+}
+
+/**
+ * Create middleware that applies the CORS policy and answers preflight requests.
+ * Requests without an Origin header, such as those from non-browser clients, pass through
+ * untouched.
+ * @param {Object} options - CORS settings
+ * @param {string|Array<string>} options.origin - Allowed origins, or '*' for any origin
+ * @param {boolean} options.credentials - Whether browsers may send cookies and credentials.
+ *   Never sent with the '*' origin, which browsers refuse to combine with credentials.
+ * @param {Array<string>} options.allowedHeaders - Request headers clients may send
+ * @param {Array<string>} options.exposedHeaders - Response headers clients may read
+ * @param {number} options.maxAge - Seconds browsers may cache a preflight response
+ * @returns {Function} Express middleware
+ */
+export function createCorsMiddleware(options = {}) {
+  const origins = [options.origin ?? '*'].flat();
+  const anyOrigin = origins.includes('*');
+  const allowed = new Set(origins.map(normalizeOrigin));
+  const credentials = options.credentials === true && !anyOrigin;
+  const allowedHeaders = options.allowedHeaders || [];
+  const exposedHeaders = options.exposedHeaders || [];
+
+  return (req, res, next) => {
+    const origin = req.get('origin');
+    const isPreflight = req.method === 'OPTIONS' && req.get('access-control-request-method');
+
+    if (!anyOrigin) {
+      // The response depends on the Origin header, so shared caches must key on it
+      res.vary('Origin');
+    }
+
+    if (!origin) {
+      next();
+      return;
+    }
+
+    if (!anyOrigin && !allowed.has(normalizeOrigin(origin))) {
+      if (isPreflight) {
+        res.status(403).end();
+        return;
+      }
+      // Let the request through without CORS headers; the browser withholds the response
+      next();
+      return;
+    }
+
+    res.set('Access-Control-Allow-Origin', anyOrigin ? '*' : origin);
+    if (credentials) {
+      res.set('Access-Control-Allow-Credentials', 'true');
+    }
+
+    if (!isPreflight) {
+      if (exposedHeaders.length > 0) {
+        res.set('Access-Control-Expose-Headers', exposedHeaders.join(', '));
+      }
+      next();
+      return;
+    }
+
+    res.set('Access-Control-Allow-Methods', ALLOWED_METHODS.join(', '));
+    if (allowedHeaders.length > 0) {
+      res.set('Access-Control-Allow-Headers', allowedHeaders.join(', '));
+    }
+    if (options.maxAge > 0) {
+      res.set('Access-Control-Max-Age', String(options.maxAge));
+    }
+    res.status(204).end();
+  };
+}
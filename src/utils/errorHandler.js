@@ -103,6 +103,9 @@ export class ErrorHandler {
 
     if (isApiError) {
       formattedError = this.formatApiError(error);
+    } else if (error instanceof McpError && error.data?.details) {
+      // Structured errors (such as validation failures) are returned as-is
+      formattedError = error.data;
     } else if (error instanceof McpError) {
       formattedError = {
         code: error.code,
@@ -0,0 +1,63 @@
+/**
+ * In-memory event store that lets Streamable HTTP clients resume interrupted SSE streams
+ */
+
+/**
+ * Bounded store of the messages sent on a session's streams, keyed by event ID
+ */
+export class EventStore {
+  /**
+   * Create a new event store
+   * @param {Object} options - Store options
+   * @param {number} options.maxEvents - Maximum number of events kept for replay
+   */
+  constructor(options = {}) {
+    this.events = new Map();
+    this.maxEvents = options.maxEvents || 1000;
+    this.sequence = 0;
+  }
+
+  /**
+   * Store a message sent on a stream
+   * @param {string} streamId - ID of the stream the message was sent on
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<string>} Event ID of the stored message
+   */
+  async storeEvent(streamId, message) {
+    this.sequence += 1;
+    const eventId = String(this.sequence);
+    this.events.set(eventId, { streamId, message });
+
+    // Maps keep insertion order, so the first key is always the oldest event
+    if (this.events.size > this.maxEvents) {
+      this.events.delete(this.events.keys().next().value);
+    }
+
+    return eventId;
+  }
+
+  /**
+   * Replay the messages sent on a stream after the given event
+   * @param {string} lastEventId - Last event ID the client received
+   * @param {Object} handlers - Replay handlers
+   * @param {Function} handlers.send - Called with each event ID and message to replay
+   * @returns {Promise<string>} ID of the replayed stream, or an empty string if the event is unknown
+   */
+  async replayEventsAfter(lastEventId, { send }) {
+    const lastEvent = this.events.get(lastEventId);
+    if (!lastEvent) {
+      return '';
+    }
+
+    let found = false;
+    for (const [eventId, { streamId, message }] of this.events) {
+      if (eventId === lastEventId) {
+        found = true;
+      } else if (found && streamId === lastEvent.streamId) {
+        await send(eventId, message);
+      }
+    }
+
+    return lastEvent.streamId;
+  }
+}
@@ -11,6 +11,7 @@
 import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
+import { getDefaults, mergeConfig, readEnvironment } from '../config/index.js';
 
 // Log levels in increasing order of severity
 const LOG_LEVELS = {
@@ -20,29 +21,52 @@ const LOG_LEVELS = {
   ERROR: 3,
 };
 
-// Configuration for logging
-const LOG_CONFIG = {
-  // Log level from environment or default to INFO
-  level: process.env.LOG_LEVEL
-    ? LOG_LEVELS[process.env.LOG_LEVEL.toUpperCase()] || LOG_LEVELS.INFO
-    : LOG_LEVELS.INFO,
-
-  // File logging options
-  file: {
-    // Whether to enable file logging (default true)
-    enabled: process.env.FILE_LOGGING !== 'false',
-    // Directory to store log files
-    directory: process.env.LOG_DIRECTORY || 'logs',
-    // Whether to also log to console when file logging is enabled
-    consoleOutput: process.env.CONSOLE_LOGGING !== 'false',
-    // Rotation interval in minutes (defaults to 60 minutes)
-    rotationInterval: parseInt(process.env.LOG_ROTATION_INTERVAL || '60', 10),
-  },
-};
+/**
+ * Builds the logging configuration from the `logLevel` and `logging` settings
+ * @param {Object} config - Server configuration
+ * @returns {Object} Logging configuration
+ */
+function toLogConfig({ logLevel, logging }) {
+  return {
+    // Unknown levels fall back to INFO
+    level: LOG_LEVELS[String(logLevel).toUpperCase()] ?? LOG_LEVELS.INFO,
+
+    // File logging options
+    file: {
+      // Whether to enable file logging
+      enabled: logging.file,
+      // Directory to store log files
+      directory: logging.directory,
+      // Whether to also log to console when file logging is enabled
+      consoleOutput: logging.console,
+      // Rotation interval in minutes
+      rotationInterval: logging.rotationInterval,
+    },
+  };
+}
+
+// Configuration for logging, from the environment until configureLogger is called
+let LOG_CONFIG = toLogConfig(mergeConfig(getDefaults(process.env.NODE_ENV), readEnvironment()));
 
 // Current log level
 let currentLogLevel = LOG_CONFIG.level;
 
+// When stdout carries protocol messages (stdio transport), all console output goes to stderr
+let consoleToStderr = false;
+
+/**
+ * Writes a line to the console, honouring the stderr redirection
+ * @param {string} method - Console method for the level (debug, info, warn or error)
+ * @param {string} text - Text to write
+ */
+function writeConsole(method, text) {
+  if (consoleToStderr) {
+    console.error(text);
+  } else {
+    console[method](text);
+  }
+}
+
 /**
  * File logger to manage writing logs to files
  */
@@ -52,6 +76,7 @@ class FileLogger {
     this.currentLogStream = null;
     this.logDirectory = path.resolve(process.cwd(), LOG_CONFIG.file.directory);
     this.nextRotationTime = null;
+    this.closed = false;
 
     // Ensure log directory exists
     if (!fs.existsSync(this.logDirectory)) {
@@ -95,7 +120,7 @@ class FileLogger {
     const now = new Date();
     this.nextRotationTime = new Date(now.getTime() + LOG_CONFIG.file.rotationInterval * 60 * 1000);
 
-    console.info(`Logging to file: ${this.currentLogFile}`);
+    writeConsole('info', `Logging to file: ${this.currentLogFile}`);
   }
 
   /**
@@ -103,6 +128,10 @@ class FileLogger {
    * @param {string} entry - Log entry to write
    */
   writeLog(entry) {
+    if (this.closed) {
+      return;
+    }
+
     // Check if we need to rotate log file
     const now = new Date();
     if (now >= this.nextRotationTime) {
@@ -114,10 +143,36 @@ class FileLogger {
       this.currentLogStream.write(entry + '\n');
     }
   }
+
+  /**
+   * Flush buffered entries and close the log file; later entries are not written to file
+   * @returns {Promise<void>} Resolves once the stream has finished writing
+   */
+  close() {
+    this.closed = true;
+    const stream = this.currentLogStream;
+    this.currentLogStream = null;
+
+    if (!stream) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => stream.end(resolve));
+  }
 }
 
-// Create singleton instance of file logger
-const fileLogger = LOG_CONFIG.file.enabled ? new FileLogger() : null;
+// Singleton instance of file logger, created on first use so console routing can be set first
+let fileLoggerInstance;
+
+/**
+ * Get the file logger, creating it on first use
+ * @returns {FileLogger|null} File logger or null if file logging is disabled
+ */
+function getFileLogger() {
+  if (fileLoggerInstance === undefined) {
+    fileLoggerInstance = LOG_CONFIG.file.enabled ? new FileLogger() : null;
+  }
+  return fileLoggerInstance;
+}
 
 // For testing - allows resetting the log level without module reload
 export function setLogLevel(level) {
@@ -126,6 +181,34 @@ export function setLogLevel(level) {
   }
 }
 
+/**
+ * Apply the logging settings of a loaded configuration. Call before anything is logged,
+ * since the log file is opened on first use.
+ * @param {Object} config - Configuration with `logLevel` and `logging` settings
+ */
+export function configureLogger(config) {
+  LOG_CONFIG = toLogConfig(config);
+  currentLogLevel = LOG_CONFIG.level;
+}
+
+/**
+ * Route all console output to stderr, keeping stdout free for protocol messages
+ * @param {boolean} enabled - Whether console output should go to stderr
+ */
+export function setConsoleToStderr(enabled = true) {
+  consoleToStderr = enabled;
+}
+
+/**
+ * Flush and close the log file, if one was opened. Called during shutdown.
+ * @returns {Promise<void>} Resolves once pending entries are written
+ */
+export async function flushLogs() {
+  if (fileLoggerInstance) {
+    await fileLoggerInstance.close();
+  }
+}
+
 /**
  * Creates a correlation ID for request tracking
  * @returns {string} A unique correlation ID
@@ -238,6 +321,17 @@ export const SENSITIVE_KEYS = [
   'secretkey',
 ];
 
+/**
+ * Redact another key in logs, such as a configured header that carries credentials
+ * @param {string} key - Key, matched case-insensitively like the built-in ones
+ */
+export function addSensitiveKey(key) {
+  const lowerKey = key.toLowerCase();
+  if (!SENSITIVE_KEYS.some(sensitiveKey => lowerKey.includes(sensitiveKey))) {
+    SENSITIVE_KEYS.push(lowerKey);
+  }
+}
+
 /**
  * Sanitizes sensitive data from objects before logging
  * @param {Object} obj - Object to sanitize
@@ -311,13 +405,14 @@ export class Logger {
       const formattedEntry = formatLogEntry('DEBUG', message, mergedData, cid);
 
       // Log to file if enabled
+      const fileLogger = getFileLogger();
       if (fileLogger) {
         fileLogger.writeLog(formattedEntry);
       }
 
       // Log to console if no file logging or console output is enabled alongside file logging
       if (!fileLogger || LOG_CONFIG.file.consoleOutput) {
-        console.debug(formatColorConsoleOutput('DEBUG', formattedEntry));
+        writeConsole('debug', formatColorConsoleOutput('DEBUG', formattedEntry));
       }
     }
   }
@@ -337,13 +432,14 @@ export class Logger {
       const formattedEntry = formatLogEntry('INFO', message, mergedData, cid);
 
       // Log to file if enabled
+      const fileLogger = getFileLogger();
       if (fileLogger) {
         fileLogger.writeLog(formattedEntry);
       }
 
       // Log to console if no file logging or console output is enabled alongside file logging
       if (!fileLogger || LOG_CONFIG.file.consoleOutput) {
-        console.info(formatColorConsoleOutput('INFO', formattedEntry));
+        writeConsole('info', formatColorConsoleOutput('INFO', formattedEntry));
       }
     }
   }
@@ -363,13 +459,14 @@ export class Logger {
       const formattedEntry = formatLogEntry('WARN', message, mergedData, cid);
 
       // Log to file if enabled
+      const fileLogger = getFileLogger();
       if (fileLogger) {
         fileLogger.writeLog(formattedEntry);
       }
 
       // Log to console if no file logging or console output is enabled alongside file logging
       if (!fileLogger || LOG_CONFIG.file.consoleOutput) {
-        console.warn(formatColorConsoleOutput('WARN', formattedEntry));
+        writeConsole('warn', formatColorConsoleOutput('WARN', formattedEntry));
       }
     }
   }
@@ -401,13 +498,14 @@ export class Logger {
       const formattedEntry = formatLogEntry('ERROR', message, mergedData, cid);
 
       // Log to file if enabled
+      const fileLogger = getFileLogger();
       if (fileLogger) {
         fileLogger.writeLog(formattedEntry);
       }
 
       // Log to console if no file logging or console output is enabled alongside file logging
       if (!fileLogger || LOG_CONFIG.file.consoleOutput) {
-        console.error(formatColorConsoleOutput('ERROR', formattedEntry));
+        writeConsole('error', formatColorConsoleOutput('ERROR', formattedEntry));
       }
     }
   }
@@ -432,7 +530,7 @@ export class Logger {
       }
 
       // Log request
-      if (requestBody && requestBody.method && requestBody.method.startsWith('mcp.')) {
+      if (requestBody && typeof requestBody.method === 'string') {
         // Log MCP request separately to provide more context
         logger.info(`MCP Request: ${requestBody.method}`, {
           method: req.method,
@@ -457,7 +555,7 @@ export class Logger {
         const duration = Date.now() - start;
         const level = res.statusCode >= 400 ? 'warn' : 'info';
 
-        if (requestBody && requestBody.method && requestBody.method.startsWith('mcp.')) {
+        if (requestBody && typeof requestBody.method === 'string') {
           // Log MCP response
           logger[level](`MCP Response: ${requestBody.method} ${res.statusCode}`, {
             method: req.method,
@@ -0,0 +1,113 @@
+/**
+ * Fixed-window rate limiting per client, with Express middleware for the HTTP endpoints
+ */
+
+/**
+ * Counts requests per client key in fixed time windows
+ */
+export class RateLimiter {
+  /**
+   * Create a new rate limiter
+   * @param {Object} options - Limiter options
+   * @param {number} options.windowMs - Length of a window in milliseconds
+   * @param {number} options.max - Requests allowed per client in each window
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs ?? 15 * 60 * 1000; // 15 minutes
+    this.max = options.max ?? 100;
+    // Client key -> { count, resetAt }
+    this.windows = new Map();
+    this.nextPrune = 0;
+  }
+
+  /**
+   * Count a request and report whether it is within the limit
+   * @param {string} key - Client key
+   * @param {number} now - Current time in milliseconds
+   * @returns {{allowed: boolean, limit: number, remaining: number, resetAt: number,
+   *   retryAfter: number}} Outcome, with retryAfter in whole seconds until the window resets
+   */
+  consume(key, now = Date.now()) {
+    this.prune(now);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    const allowed = window.count < this.max;
+    if (allowed) {
+      window.count += 1;
+    }
+
+    return {
+      allowed,
+      limit: this.max,
+      remaining: this.max - window.count,
+      resetAt: window.resetAt,
+      retryAfter: Math.max(1, Math.ceil((window.resetAt - now) / 1000)),
+    };
+  }
+
+  /**
+   * Forget expired windows, at most once per window so busy servers do not scan every request
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now = Date.now()) {
+    if (now < this.nextPrune) {
+      return;
+    }
+
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+    this.nextPrune = now + this.windowMs;
+  }
+}
+
+/**
+ * Create middleware that rejects clients over their limit with 429 and Retry-After. JSON-RPC
+ * requests get a JSON-RPC error body so MCP clients can surface it.
+ * @param {RateLimiter} limiter - Limiter to count requests with
+ * @param {Function} getKey - Returns the client key for a request
+ * @param {Object} options - Middleware options
+ * @param {Logger} options.logger - Logger for rejected requests
+ * @returns {Function} Express middleware
+ */
+export function createRateLimitMiddleware(limiter, getKey, options = {}) {
+  return (req, res, next) => {
+    const key = getKey(req);
+    const outcome = limiter.consume(key);
+
+    res.set('RateLimit-Limit', String(outcome.limit));
+    res.set('RateLimit-Remaining', String(outcome.remaining));
+    res.set('RateLimit-Reset', String(outcome.retryAfter));
+
+    if (outcome.allowed) {
+      next();
+      return;
+    }
+
+    options.logger?.warn(`Rate limit exceeded for ${key}`, {
+      path: req.originalUrl,
+      retryAfter: outcome.retryAfter,
+    });
+
+    const message = `Rate limit exceeded, retry in ${outcome.retryAfter} seconds`;
+    const isJsonRpc = Array.isArray(req.body) || req.body?.jsonrpc === '2.0';
+
+    res.set('Retry-After', String(outcome.retryAfter));
+    res.status(429).json(
+      isJsonRpc
+        ? {
+            jsonrpc: '2.0',
+            error: { code: -32000, message, data: { retryAfter: outcome.retryAfter } },
+            id: Array.isArray(req.body) ? null : (req.body.id ?? null),
+          }
+        : { error: 'Too many requests', message, retryAfter: outcome.retryAfter }
+    );
+  };
+}
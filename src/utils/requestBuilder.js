@@ -0,0 +1,275 @@
+/**
+ * Request builder that turns tool arguments into an upstream HTTP request.
+ * Shared by every transport so tool calls produce identical requests.
+ */
+import { ApiError } from './apiError.js';
+
+// `.` and `..` path segments, which URL parsers collapse even when percent-encoded
+const DOT_SEGMENT = /^(?:\.|%2e){1,2}$/i;
+
+/**
+ * Serializes a header or cookie value using the OpenAPI `simple` style
+ * @param {any} value - Argument value
+ * @returns {string} Serialized value
+ */
+export function serializeSimpleValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(String).join(',');
+  }
+
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, item]) => `${key},${item}`)
+      .join(',');
+  }
+
+  return String(value);
+}
+
+/**
+ * Percent-encodes a single value for use in a URL
+ * @param {any} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function encode(value) {
+  return encodeURIComponent(String(value ?? ''));
+}
+
+/**
+ * Serializes a path parameter according to its OpenAPI `style` (simple, label or matrix)
+ * @param {string} name - Parameter name
+ * @param {any} value - Argument value
+ * @param {string} style - Serialization style
+ * @param {boolean} explode - Whether arrays and objects are exploded
+ * @returns {string} Encoded path segment
+ */
+export function serializePathValue(name, value, style = 'simple', explode = false) {
+  const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  let items;
+  if (Array.isArray(value)) {
+    items = value.map(encode);
+  } else if (isObject) {
+    items = Object.entries(value).map(([key, item]) =>
+      explode ? `${encode(key)}=${encode(item)}` : `${encode(key)},${encode(item)}`
+    );
+  } else {
+    items = [encode(value)];
+  }
+
+  switch (style) {
+    case 'label':
+      return `.${items.join(explode ? '.' : ',')}`;
+    case 'matrix':
+      if (explode) {
+        return isObject
+          ? `;${items.join(';')}`
+          : items.map(item => `;${encode(name)}=${item}`).join('');
+      }
+      return `;${encode(name)}=${items.join(',')}`;
+    default:
+      return items.join(',');
+  }
+}
+
+/**
+ * Serializes a value as `deepObject` pairs, e.g. `filter[borough]=Manhattan`
+ * @param {string} prefix - Encoded key prefix
+ * @param {any} value - Argument value
+ * @returns {Array<string>} Encoded `key=value` pairs
+ */
+function deepObjectPairs(prefix, value) {
+  if (Array.isArray(value)) {
+    return value.map(item => `${prefix}=${encode(item)}`);
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) =>
+      deepObjectPairs(`${prefix}[${encode(key)}]`, item)
+    );
+  }
+
+  return [`${prefix}=${encode(value)}`];
+}
+
+/**
+ * Serializes a query parameter according to its OpenAPI `style` and `explode` settings
+ * @param {string} name - Parameter name
+ * @param {any} value - Argument value
+ * @param {string} style - form, spaceDelimited, pipeDelimited or deepObject
+ * @param {boolean} explode - Whether arrays and objects are exploded (defaults to true for form)
+ * @returns {Array<string>} Encoded `name=value` pairs
+ */
+export function serializeQueryParameter(name, value, style = 'form', explode = style === 'form') {
+  if (value === null || typeof value !== 'object') {
+    return [`${encode(name)}=${encode(value)}`];
+  }
+
+  if (style === 'deepObject') {
+    return deepObjectPairs(encode(name), value);
+  }
+
+  if (explode) {
+    return Array.isArray(value)
+      ? value.map(item => `${encode(name)}=${encode(item)}`)
+      : Object.entries(value).map(([key, item]) => `${encode(key)}=${encode(item)}`);
+  }
+
+  const delimiters = { spaceDelimited: '%20', pipeDelimited: '|' };
+  const items = Array.isArray(value)
+    ? value.map(encode)
+    : Object.entries(value).flatMap(([key, item]) => [encode(key), encode(item)]);
+
+  return [`${encode(name)}=${items.join(delimiters[style] || ',')}`];
+}
+
+/**
+ * Encodes body arguments as form fields; arrays repeat their field, as the `form` style does
+ * @param {Object} fields - Body arguments
+ * @param {string} contentType - application/x-www-form-urlencoded or multipart/form-data
+ * @returns {URLSearchParams|FormData} Form body for fetch
+ */
+export function encodeForm(fields, contentType) {
+  const form = contentType === 'multipart/form-data' ? new FormData() : new URLSearchParams();
+  for (const [name, value] of Object.entries(fields)) {
+    for (const item of [value].flat()) {
+      if (item !== undefined && item !== null) {
+        form.append(name, serializeSimpleValue(item));
+      }
+    }
+  }
+  return form;
+}
+
+/**
+ * Splits tool arguments into their request locations
+ * @param {string} path - Path template from the specification
+ * @param {string} method - HTTP method
+ * @param {Object} args - Tool arguments
+ * @param {Array<Object>} parameters - Parameter descriptors ({ name, in, style, explode })
+ * @returns {Object} Arguments grouped by path, query, header, cookie and body
+ */
+export function groupArguments(path, method, args = {}, parameters = []) {
+  const groups = { path: {}, query: {}, header: {}, cookie: {}, body: {} };
+  const remaining = { ...args };
+
+  // Header and cookie arguments are grouped under `headers` and `cookies`. Only declared names
+  // are copied, so callers cannot add headers such as Authorization or Cookie themselves.
+  [
+    ['header', 'headers'],
+    ['cookie', 'cookies'],
+  ].forEach(([location, key]) => {
+    const declared = parameters.filter(p => p.in === location);
+    if (declared.length === 0) {
+      return;
+    }
+
+    const values = remaining[key] || {};
+    declared.forEach(({ name }) => {
+      if (Object.hasOwn(values, name)) {
+        groups[location][name] = values[name];
+      }
+    });
+    delete remaining[key];
+  });
+
+  for (const [key, value] of Object.entries(remaining)) {
+    const param = parameters.find(p => p.name === key && (p.in === 'path' || p.in === 'query'));
+
+    if (param) {
+      groups[param.in][key] = value;
+    } else if (path.includes(`{${key}}`)) {
+      groups.path[key] = value;
+    } else if (method.toLowerCase() === 'get') {
+      // GET requests have no body, so undeclared arguments are sent as query parameters
+      groups.query[key] = value;
+    } else {
+      groups.body[key] = value;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Builds the URL and fetch options for a tool call
+ * @param {Object} request - Request details
+ * @param {string} request.baseUrl - Upstream base URL
+ * @param {string} request.path - Path template from the specification
+ * @param {string} request.method - HTTP method
+ * @param {Object} request.args - Tool arguments
+ * @param {Array<Object>} request.parameters - Parameter descriptors from tool metadata; form
+ *   fields are `in: formData` with the body's `contentType`
+ * @returns {{url: string, options: Object, body: Object|null}} Request URL, fetch options and body
+ * @throws {ApiError} If a path parameter would add a `.` or `..` segment to the URL
+ */
+export function buildRequest({ baseUrl, path, method, args = {}, parameters = [] }) {
+  const groups = groupArguments(path, method, args || {}, parameters);
+
+  const declared = (name, location) => parameters.find(p => p.name === name && p.in === location);
+
+  // Replace path parameters with encoded values so they cannot change the URL structure
+  let resolvedPath = path;
+  for (const [key, value] of Object.entries(groups.path)) {
+    const param = declared(key, 'path') || {};
+    resolvedPath = resolvedPath.replace(
+      `{${key}}`,
+      serializePathValue(key, value, param.style, param.explode)
+    );
+
+    if (resolvedPath.split('/').some(segment => DOT_SEGMENT.test(segment))) {
+      throw new ApiError(`Path parameter ${key} cannot be a relative path segment`, 400);
+    }
+  }
+
+  let url = `${baseUrl}${resolvedPath}`;
+
+  const queryPairs = Object.entries(groups.query).flatMap(([key, value]) => {
+    const param = declared(key, 'query') || {};
+    return serializeQueryParameter(key, value, param.style, param.explode);
+  });
+
+  if (queryPairs.length > 0) {
+    url += `?${queryPairs.join('&')}`;
+  }
+
+  const options = {
+    method: method.toUpperCase(),
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+    },
+  };
+
+  // Add header parameters
+  for (const [name, value] of Object.entries(groups.header)) {
+    if (value !== undefined && value !== null) {
+      options.headers[name] = serializeSimpleValue(value);
+    }
+  }
+
+  // Add cookie parameters
+  const cookies = Object.entries(groups.cookie)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}=${encodeURIComponent(serializeSimpleValue(value))}`);
+  if (cookies.length > 0) {
+    options.headers.Cookie = cookies.join('; ');
+  }
+
+  // Add body for methods that carry one, as a form when the operation declares form fields
+  const body = Object.keys(groups.body).length > 0 ? groups.body : null;
+  const form = parameters.find(p => p.in === 'formData');
+  if (body && form) {
+    options.body = encodeForm(body, form.contentType);
+    if (form.contentType === 'multipart/form-data') {
+      // fetch sets the multipart boundary itself
+      delete options.headers['Content-Type'];
+    } else {
+      options.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    }
+  } else if (body) {
+    options.body = JSON.stringify(body);
+  }
+
+  return { url, options, body };
+}
@@ -0,0 +1,107 @@
+/**
+ * Converts OpenAPI 3.0 schema objects into plain JSON Schema for tool input schemas
+ */
+
+// OpenAPI-only keywords that have no JSON Schema meaning
+const OPENAPI_ONLY_KEYWORDS = ['nullable', 'discriminator', 'xml', 'externalDocs', 'example'];
+
+// Keywords whose value is a single subschema
+const SUBSCHEMA_KEYWORDS = ['items', 'not', 'additionalProperties'];
+
+// Keywords whose value is a list of subschemas
+const SUBSCHEMA_LIST_KEYWORDS = ['allOf', 'oneOf', 'anyOf'];
+
+/**
+ * SchemaConverter translates OpenAPI schema dialect into JSON Schema
+ */
+export class SchemaConverter {
+  /**
+   * Convert an OpenAPI 3.0 schema into JSON Schema, preserving all validation detail
+   * @param {Object} schema - Resolved OpenAPI schema (no `$ref`s)
+   * @returns {Object} JSON Schema
+   */
+  static toJsonSchema(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return schema;
+    }
+
+    const result = {};
+
+    for (const [key, value] of Object.entries(schema)) {
+      // Vendor extensions are not part of the argument shape
+      if (key.startsWith('x-') || OPENAPI_ONLY_KEYWORDS.includes(key)) {
+        continue;
+      }
+
+      if (key === 'properties') {
+        result.properties = {};
+        for (const [name, propSchema] of Object.entries(value)) {
+          result.properties[name] = this.toJsonSchema(propSchema);
+        }
+      } else if (SUBSCHEMA_KEYWORDS.includes(key)) {
+        result[key] = this.toJsonSchema(value);
+      } else if (SUBSCHEMA_LIST_KEYWORDS.includes(key)) {
+        result[key] = value.map(subschema => this.toJsonSchema(subschema));
+      } else {
+        result[key] = value;
+      }
+    }
+
+    // `example` becomes the JSON Schema `examples` annotation
+    if (schema.example !== undefined && result.examples === undefined) {
+      result.examples = [schema.example];
+    }
+
+    this.convertExclusiveBounds(result);
+
+    if (schema.nullable === true) {
+      this.makeNullable(result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert OpenAPI 3.0 boolean `exclusiveMinimum`/`exclusiveMaximum` into numeric bounds
+   * @param {Object} schema - Schema to update in place
+   */
+  static convertExclusiveBounds(schema) {
+    if (typeof schema.exclusiveMinimum === 'boolean') {
+      if (schema.exclusiveMinimum && schema.minimum !== undefined) {
+        schema.exclusiveMinimum = schema.minimum;
+        delete schema.minimum;
+      } else {
+        delete schema.exclusiveMinimum;
+      }
+    }
+
+    if (typeof schema.exclusiveMaximum === 'boolean') {
+      if (schema.exclusiveMaximum && schema.maximum !== undefined) {
+        schema.exclusiveMaximum = schema.maximum;
+        delete schema.maximum;
+      } else {
+        delete schema.exclusiveMaximum;
+      }
+    }
+  }
+
+  /**
+   * Allow `null` in a schema, translating `nullable: true` into a type union
+   * @param {Object} schema - Schema to update in place
+   */
+  static makeNullable(schema) {
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.includes('null')) {
+        schema.type = [...types, 'null'];
+      }
+    } else if (schema.oneOf || schema.anyOf) {
+      const keyword = schema.oneOf ? 'oneOf' : 'anyOf';
+      schema[keyword] = [...schema[keyword], { type: 'null' }];
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(null)) {
+      schema.enum = [...schema.enum, null];
+    }
+  }
+}
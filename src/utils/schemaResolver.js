@@ -0,0 +1,220 @@
+/**
+ * Schema resolver for dereferencing OpenAPI schemas when building tool input schemas
+ */
+
+const SCHEMA_REF_PATTERN = /^#\/(?:components\/schemas|definitions)\/(.+)$/;
+
+/**
+ * Decodes a single JSON pointer segment
+ * @param {string} segment - Encoded pointer segment
+ * @returns {string} Decoded segment
+ */
+function decodePointerSegment(segment) {
+  return decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * Resolves local `$ref`s, `allOf` merges and `oneOf`/`anyOf` alternatives
+ */
+export class SchemaResolver {
+  /**
+   * Create a new schema resolver
+   * @param {Object} schemas - Named schemas (components.schemas) keyed by name
+   * @param {Object} document - Optional full specification for other local JSON pointers
+   */
+  constructor(schemas = {}, document = null) {
+    this.schemas = schemas || {};
+    this.document = document;
+  }
+
+  /**
+   * Look up the target of a local `$ref`
+   * @param {string} ref - Reference such as `#/components/schemas/Landmark`
+   * @returns {Object|null} Referenced object or null if it cannot be found
+   */
+  lookup(ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+      return null;
+    }
+
+    const schemaMatch = ref.match(SCHEMA_REF_PATTERN);
+    if (schemaMatch) {
+      const name = decodePointerSegment(schemaMatch[1]);
+      if (this.schemas[name]) {
+        return this.schemas[name];
+      }
+    }
+
+    if (!this.document) {
+      return null;
+    }
+
+    let target = this.document;
+    for (const segment of ref.slice(2).split('/')) {
+      if (!target || typeof target !== 'object') {
+        return null;
+      }
+      target = target[decodePointerSegment(segment)];
+    }
+
+    return target ?? null;
+  }
+
+  /**
+   * Follow `$ref`s on a non-schema object such as a parameter or request body
+   * @param {Object} obj - Object that may be a reference
+   * @returns {Object} The referenced object, or the input if it is not a reference
+   */
+  dereference(obj) {
+    const seen = new Set();
+    let current = obj;
+
+    while (current && current.$ref && !seen.has(current.$ref)) {
+      seen.add(current.$ref);
+      const target = this.lookup(current.$ref);
+      if (!target) {
+        break;
+      }
+      current = target;
+    }
+
+    return current;
+  }
+
+  /**
+   * Fully resolve a schema, expanding references and `allOf` compositions
+   * @param {Object} schema - Schema to resolve
+   * @param {Set<string>} seen - References already being expanded on the current path
+   * @returns {Object} Resolved schema without local references
+   */
+  resolve(schema, seen = new Set()) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return schema;
+    }
+
+    if (schema.$ref) {
+      const { $ref, ...siblings } = schema;
+
+      // A reference back to a schema that is already being expanded is a cycle
+      if (seen.has($ref)) {
+        return {
+          type: 'object',
+          description: siblings.description || `Circular reference to ${$ref}`,
+        };
+      }
+
+      const target = this.lookup($ref);
+      if (!target) {
+        return { ...siblings };
+      }
+
+      return this.resolve({ ...target, ...siblings }, new Set(seen).add($ref));
+    }
+
+    const resolved = { ...schema };
+
+    if (Array.isArray(schema.allOf)) {
+      delete resolved.allOf;
+      const parts = schema.allOf.map(part => this.resolve(part, seen));
+      return this.resolve(this.mergeSchemas([...parts, resolved]), seen);
+    }
+
+    for (const keyword of ['oneOf', 'anyOf']) {
+      if (Array.isArray(schema[keyword])) {
+        resolved[keyword] = schema[keyword].map(alternative => this.resolve(alternative, seen));
+      }
+    }
+
+    if (schema.properties) {
+      resolved.properties = {};
+      for (const [name, propSchema] of Object.entries(schema.properties)) {
+        resolved.properties[name] = this.resolve(propSchema, seen);
+      }
+    }
+
+    if (schema.items) {
+      resolved.items = this.resolve(schema.items, seen);
+    }
+
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      resolved.additionalProperties = this.resolve(schema.additionalProperties, seen);
+    }
+
+    if (schema.not) {
+      resolved.not = this.resolve(schema.not, seen);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Merge `allOf` parts into a single schema; later parts override earlier keywords
+   * @param {Array<Object>} parts - Resolved schemas to merge
+   * @returns {Object} Merged schema
+   */
+  mergeSchemas(parts) {
+    const merged = {};
+    const required = new Set();
+
+    for (const part of parts) {
+      if (!part || typeof part !== 'object') {
+        continue;
+      }
+
+      for (const [key, value] of Object.entries(part)) {
+        if (key === 'properties') {
+          merged.properties = { ...merged.properties, ...value };
+        } else if (key === 'required') {
+          value.forEach(name => required.add(name));
+        } else {
+          merged[key] = value;
+        }
+      }
+    }
+
+    if (merged.properties && !merged.type) {
+      merged.type = 'object';
+    }
+
+    if (required.size > 0) {
+      merged.required = [...required];
+    }
+
+    return merged;
+  }
+
+  /**
+   * Collect the object properties a schema accepts, flattening `oneOf`/`anyOf` alternatives.
+   * A property from an alternative is only required when every alternative requires it.
+   * @param {Object} schema - Request body schema
+   * @returns {{properties: Object, required: Array<string>}} Properties and required names
+   */
+  collectProperties(schema) {
+    const resolved = this.resolve(schema);
+    const properties = { ...resolved?.properties };
+    const required = new Set(resolved?.required || []);
+
+    for (const keyword of ['oneOf', 'anyOf']) {
+      const alternatives = resolved?.[keyword];
+      if (!Array.isArray(alternatives) || alternatives.length === 0) {
+        continue;
+      }
+
+      const collected = alternatives.map(alternative => this.collectProperties(alternative));
+      for (const { properties: altProperties } of collected) {
+        for (const [name, propSchema] of Object.entries(altProperties)) {
+          if (!properties[name]) {
+            properties[name] = propSchema;
+          }
+        }
+      }
+
+      const [first, ...rest] = collected;
+      first.required
+        .filter(name => rest.every(alternative => alternative.required.includes(name)))
+        .forEach(name => required.add(name));
+    }
+
+    return { properties, required: [...required] };
+  }
+}
@@ -0,0 +1,357 @@
+/**
+ * Security resolver that adds configured upstream credentials to requests, following the
+ * specification's `securitySchemes` and each operation's `security` requirements
+ */
+import fetch from 'node-fetch';
+import { ApiError } from './apiError.js';
+import { logger } from './logger.js';
+
+// Renew OAuth2 tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Lifetime assumed for OAuth2 tokens issued without expires_in
+const DEFAULT_TOKEN_LIFETIME_S = 60 * 60;
+
+/**
+ * Applies upstream credentials for the security requirements of an operation
+ */
+export class SecurityResolver {
+  /**
+   * Create a new security resolver
+   * @param {Object} spec - Normalized OpenAPI 3 specification
+   * @param {Object} options - Resolver options
+   * @param {Object} options.credentials - Secrets by security scheme name: { value } for API
+   *   keys, { username, password } for basic, { token } for bearer and
+   *   { clientId, clientSecret, scopes, tokenUrl } for OAuth2 client credentials
+   * @param {string} options.baseUrl - Base URL that relative token URLs are resolved against
+   * @param {Function} options.fetch - Fetch implementation, defaults to node-fetch
+   * @param {Logger} options.logger - Logger, defaults to the shared logger
+   */
+  constructor(spec, options = {}) {
+    this.schemes = spec?.components?.securitySchemes || {};
+    this.globalSecurity = spec?.security || [];
+    this.credentials = options.credentials || {};
+    this.baseUrl = options.baseUrl;
+    this.fetch = options.fetch || fetch;
+    this.logger = options.logger || logger;
+    // OAuth2 tokens by scheme and scopes, as { promise, expiresAt, accessToken }
+    this.tokens = new Map();
+  }
+
+  /**
+   * Get the security requirements of an operation: its own, otherwise the specification's
+   * @param {Object} operation - Operation object
+   * @returns {Array<Object>} Alternative requirements, each mapping scheme names to scopes
+   */
+  requirementsFor(operation = {}) {
+    return operation.security ?? this.globalSecurity;
+  }
+
+  /**
+   * Check whether a parameter carries an API key that this resolver fills in, so it is never
+   * offered as a tool argument
+   * @param {Object} param - Parameter object
+   * @returns {boolean} True if the parameter belongs to an apiKey security scheme
+   */
+  isCredentialParameter(param) {
+    const sameName = (a, b) =>
+      param.in === 'header' ? a.toLowerCase() === b.toLowerCase() : a === b;
+    return Object.values(this.schemes).some(
+      scheme =>
+        scheme.type === 'apiKey' && scheme.in === param.in && sameName(scheme.name, param.name)
+    );
+  }
+
+  /**
+   * List configured credentials whose name matches no security scheme, usually a typo
+   * @returns {Array<string>} Credential names
+   */
+  unknownCredentials() {
+    return Object.keys(this.credentials).filter(name => !this.schemes[name]);
+  }
+
+  /**
+   * Check whether a scheme expects a bearer token in the Authorization header
+   * @param {Object} scheme - Security scheme
+   * @returns {boolean} True for http bearer and OAuth2 schemes
+   */
+  usesBearerToken(scheme) {
+    return (
+      scheme?.type === 'oauth2' ||
+      (scheme?.type === 'http' && scheme.scheme?.toLowerCase() === 'bearer')
+    );
+  }
+
+  /**
+   * Check whether a scheme is supported and has the credentials it needs
+   * @param {string} name - Security scheme name
+   * @param {string} callerToken - Caller's own token, which satisfies bearer and OAuth2 schemes
+   * @returns {boolean} True if requests can be authorized with the scheme
+   */
+  canSatisfy(name, callerToken) {
+    const scheme = this.schemes[name];
+    const credential = this.credentials[name];
+    if (callerToken && this.usesBearerToken(scheme)) {
+      return true;
+    }
+    if (!scheme || !credential) {
+      return false;
+    }
+
+    switch (scheme.type) {
+      case 'apiKey':
+        return credential.value !== undefined;
+      case 'http':
+        return scheme.scheme?.toLowerCase() === 'basic'
+          ? credential.username !== undefined
+          : scheme.scheme?.toLowerCase() === 'bearer' && credential.token !== undefined;
+      case 'oauth2':
+        return Boolean(
+          credential.clientId && (credential.tokenUrl || scheme.flows?.clientCredentials?.tokenUrl)
+        );
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Pick the first alternative whose schemes can all be satisfied. An empty list, or an empty
+   * alternative, means the operation needs no credentials.
+   * @param {Array<Object>} requirements - Alternative security requirements
+   * @param {string} callerToken - Caller's own token, if it is passed through
+   * @returns {Object|null} Chosen requirement, or null if none can be satisfied
+   */
+  selectRequirement(requirements, callerToken) {
+    if (requirements.length === 0) {
+      return {};
+    }
+    return (
+      requirements.find(requirement =>
+        Object.keys(requirement).every(name => this.canSatisfy(name, callerToken))
+      ) ?? null
+    );
+  }
+
+  /**
+   * Send a request with the credentials its security requirements call for. A 401 response to
+   * a request authorized with an OAuth2 token is retried once with a fresh token.
+   *
+   * A caller's own token takes the place of configured bearer and OAuth2 credentials, and is
+   * sent even when the operation declares no security, so the upstream can attribute the call.
+   * @param {Array<Object>} requirements - Alternative security requirements
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @param {string} callerToken - Caller's own token, if it is passed through
+   * @returns {Promise<Response>} Upstream response
+   * @throws {ApiError} If no alternative can be satisfied with the configured credentials
+   */
+  async send(requirements, url, options = {}, callerToken = undefined) {
+    const requirement = this.selectRequirement(requirements, callerToken);
+    if (!requirement) {
+      const names = [...new Set(requirements.flatMap(Object.keys))].join(', ');
+      throw new ApiError(`No upstream credentials configured for security scheme ${names}`, 401);
+    }
+
+    const authorized = await this.authorize(requirement, url, options, callerToken);
+    const response = await this.fetch(authorized.url, authorized.options);
+
+    // Caller tokens cannot be renewed here; the caller sees the 401
+    const tokenSchemes = callerToken
+      ? []
+      : Object.keys(requirement).filter(name => this.schemes[name].type === 'oauth2');
+    if (response.status !== 401 || tokenSchemes.length === 0) {
+      return response;
+    }
+
+    this.logger.info(`Upstream rejected the OAuth2 token, requesting a new one`, {
+      schemes: tokenSchemes,
+    });
+    this.invalidateTokens(tokenSchemes);
+    const retried = await this.authorize(requirement, url, options);
+    return this.fetch(retried.url, retried.options);
+  }
+
+  /**
+   * Add the credentials of a requirement to a copy of the request
+   * @param {Object} requirement - Scheme names mapped to required scopes
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @param {string} callerToken - Caller's own token, if it is passed through
+   * @returns {Promise<{url: string, options: Object}>} Authorized request
+   */
+  async authorize(requirement, url, options, callerToken) {
+    const request = { url, options: { ...options, headers: { ...options.headers } } };
+
+    for (const [name, scopes] of Object.entries(requirement)) {
+      const scheme = this.schemes[name];
+      const credential = this.credentials[name];
+
+      if (callerToken && this.usesBearerToken(scheme)) {
+        request.options.headers.Authorization = `Bearer ${callerToken}`;
+      } else if (scheme.type === 'apiKey') {
+        this.setParameter(request, scheme.in, scheme.name, credential.value);
+      } else if (scheme.type === 'http' && scheme.scheme.toLowerCase() === 'basic') {
+        const encoded = Buffer.from(`${credential.username}:${credential.password ?? ''}`);
+        request.options.headers.Authorization = `Basic ${encoded.toString('base64')}`;
+      } else if (scheme.type === 'http') {
+        request.options.headers.Authorization = `Bearer ${credential.token}`;
+      } else if (scheme.type === 'oauth2') {
+        const token = await this.getAccessToken(name, credential.scopes ?? scopes);
+        request.options.headers.Authorization = `Bearer ${token}`;
+      }
+    }
+
+    // A basic auth alternative keeps its Authorization header
+    if (callerToken && !request.options.headers.Authorization) {
+      request.options.headers.Authorization = `Bearer ${callerToken}`;
+    }
+
+    return request;
+  }
+
+  /**
+   * Place an API key in a header, query parameter or cookie
+   * @param {Object} request - Request being authorized
+   * @param {string} location - header, query or cookie
+   * @param {string} name - Parameter name
+   * @param {string} value - API key
+   */
+  setParameter(request, location, name, value) {
+    const { headers } = request.options;
+
+    if (location === 'query') {
+      const separator = request.url.includes('?') ? '&' : '?';
+      request.url += `${separator}${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
+    } else if (location === 'cookie') {
+      const cookie = `${name}=${encodeURIComponent(value)}`;
+      headers.Cookie = headers.Cookie ? `${headers.Cookie}; ${cookie}` : cookie;
+    } else {
+      headers[name] = String(value);
+    }
+  }
+
+  /**
+   * Get an OAuth2 access token, reusing a cached one until shortly before it expires.
+   * Concurrent calls share a single token request.
+   * @param {string} name - Security scheme name
+   * @param {Array<string>} scopes - Scopes to request
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken(name, scopes = []) {
+    const key = `${name} ${[...scopes].sort().join(' ')}`;
+    const cached = this.tokens.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.promise;
+    }
+
+    const entry = { expiresAt: Infinity };
+    entry.promise = this.requestToken(name, scopes).then(
+      ({ accessToken, expiresIn }) => {
+        entry.accessToken = accessToken;
+        entry.expiresAt = Date.now() + expiresIn * 1000 - TOKEN_EXPIRY_MARGIN_MS;
+        return accessToken;
+      },
+      error => {
+        this.tokens.delete(key);
+        throw error;
+      }
+    );
+    this.tokens.set(key, entry);
+
+    return entry.promise;
+  }
+
+  /**
+   * Request a token with the client credentials grant
+   * @param {string} name - Security scheme name
+   * @param {Array<string>} scopes - Scopes to request
+   * @returns {Promise<{accessToken: string, expiresIn: number}>} Token and lifetime in seconds
+   */
+  async requestToken(name, scopes) {
+    const credential = this.credentials[name];
+    const tokenUrl = new URL(
+      credential.tokenUrl || this.schemes[name].flows.clientCredentials.tokenUrl,
+      this.baseUrl
+    ).href;
+
+    const body = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (scopes.length > 0) {
+      body.set('scope', scopes.join(' '));
+    }
+
+    // Client credentials are form-encoded before being joined, as RFC 6749 requires
+    const clientAuth = Buffer.from(
+      `${encodeURIComponent(credential.clientId)}:${encodeURIComponent(credential.clientSecret ?? '')}`
+    ).toString('base64');
+
+    const response = await this.fetch(tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+        Authorization: `Basic ${clientAuth}`,
+      },
+      body: body.toString(),
+    });
+
+    if (!response.ok) {
+      throw new ApiError(
+        `OAuth2 token request for ${name} failed with ${response.status}`,
+        response.status
+      );
+    }
+
+    const data = await response.json();
+    if (typeof data.access_token !== 'string') {
+      throw new ApiError(`OAuth2 token response for ${name} has no access_token`, 502);
+    }
+
+    const expiresIn = Number(data.expires_in) || DEFAULT_TOKEN_LIFETIME_S;
+    this.logger.info(`Obtained OAuth2 token for ${name}`, { expiresIn });
+    return { accessToken: data.access_token, expiresIn };
+  }
+
+  /**
+   * Forget the cached tokens of some schemes, so the next request gets new ones
+   * @param {Array<string>} names - Security scheme names
+   */
+  invalidateTokens(names) {
+    for (const key of this.tokens.keys()) {
+      if (names.includes(key.split(' ')[0])) {
+        this.tokens.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Hide every configured secret and cached token in a piece of text, such as an error
+   * message that quotes a request URL
+   * @param {string} text - Text to clean
+   * @returns {string} Text with secrets replaced by [REDACTED]
+   */
+  redact(text) {
+    const secrets = [
+      ...Object.values(this.credentials).flatMap(credential => [
+        credential.value,
+        credential.password,
+        credential.token,
+        credential.clientSecret,
+      ]),
+      ...[...this.tokens.values()].map(entry => entry.accessToken),
+    ]
+      // Numeric API keys are sent as text, so they are matched as text too
+      .filter(secret => secret !== undefined && secret !== null)
+      .map(String)
+      .filter(secret => secret.length > 0);
+
+    return secrets.reduce(
+      (result, secret) =>
+        result
+          .split(secret)
+          .join('[REDACTED]')
+          .split(encodeURIComponent(secret))
+          .join('[REDACTED]'),
+      String(text)
+    );
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Server resolver for deriving the upstream base URL from the specification's `servers` blocks
+ */
+
+/**
+ * Parses server variable overrides from configuration
+ * @param {string|Object} value - JSON object string, `name=value,name2=value2` list or object
+ * @returns {Object} Variable overrides keyed by name
+ */
+export function parseServerVariables(value) {
+  if (!value) {
+    return {};
+  }
+
+  if (typeof value === 'object') {
+    return value;
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('{')) {
+    return JSON.parse(trimmed);
+  }
+
+  return Object.fromEntries(
+    trimmed
+      .split(',')
+      .map(pair => pair.split('='))
+      .filter(([name, ...rest]) => name && rest.length > 0)
+      .map(([name, ...rest]) => [name.trim(), rest.join('=').trim()])
+  );
+}
+
+/**
+ * Resolves base URLs for operations from spec, path and operation level `servers`
+ */
+export class ServerResolver {
+  /**
+   * Create a new server resolver
+   * @param {Object} spec - Normalized OpenAPI 3 specification
+   * @param {Object} options - Resolver options
+   * @param {string|number} options.selector - Server name, description or index to use
+   * @param {Object} options.variables - Server variable overrides
+   * @param {string} options.specUrl - Location the specification was loaded from
+   * @param {string} options.fallbackUrl - Base URL used when the spec declares no servers
+   */
+  constructor(spec, options = {}) {
+    this.spec = spec || {};
+    this.selector = options.selector;
+    this.variables = parseServerVariables(options.variables);
+    this.specUrl = options.specUrl;
+    this.fallbackUrl = options.fallbackUrl;
+
+    // Validate the selection up front so misconfiguration fails at startup
+    this.defaultUrl = this.resolveServers(this.spec.servers, true) || this.fallbackUrl;
+  }
+
+  /**
+   * Pick a server from a list using the configured selector
+   * @param {Array<Object>} servers - Server objects
+   * @param {boolean} strict - Whether an unmatched selector is an error
+   * @returns {Object|null} Selected server
+   */
+  selectServer(servers, strict = false) {
+    if (!Array.isArray(servers) || servers.length === 0) {
+      return null;
+    }
+
+    if (this.selector === undefined || this.selector === null || this.selector === '') {
+      return servers[0];
+    }
+
+    const selector = String(this.selector);
+
+    if (/^\d+$/.test(selector)) {
+      const server = servers[parseInt(selector, 10)];
+      if (server) {
+        return server;
+      }
+    } else {
+      const wanted = selector.toLowerCase();
+      const server = servers.find(s =>
+        [s.name, s['x-name'], s.description].some(label => label?.toLowerCase() === wanted)
+      );
+      if (server) {
+        return server;
+      }
+    }
+
+    if (strict) {
+      const available = servers
+        .map((s, index) => `${index}: ${s.name || s['x-name'] || s.description || s.url}`)
+        .join(', ');
+      throw new Error(`No server matches "${selector}". Available servers: ${available}`);
+    }
+
+    return servers[0];
+  }
+
+  /**
+   * Expand a server URL template using variable defaults and configured overrides
+   * @param {Object} server - Server object
+   * @returns {string} Expanded URL
+   */
+  expandUrl(server) {
+    const declared = server.variables || {};
+
+    return server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+      const variable = declared[name] || {};
+      const value = this.variables[name] ?? variable.default;
+
+      if (value === undefined) {
+        throw new Error(`No value for server variable "${name}" in ${server.url}`);
+      }
+
+      if (Array.isArray(variable.enum) && !variable.enum.includes(String(value))) {
+        throw new Error(
+          `Invalid value "${value}" for server variable "${name}". Allowed: ${variable.enum.join(', ')}`
+        );
+      }
+
+      return String(value);
+    });
+  }
+
+  /**
+   * Turn relative server URLs into absolute ones and drop trailing slashes
+   * @param {string} url - Expanded server URL
+   * @returns {string} Absolute base URL
+   */
+  absolutize(url) {
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+      // Relative servers are relative to where the spec was served from
+      const base = /^https?:\/\//i.test(this.specUrl || '') ? this.specUrl : this.fallbackUrl;
+      if (base) {
+        url = new URL(url, base).href;
+      }
+    }
+
+    return url.replace(/\/+$/, '');
+  }
+
+  /**
+   * Resolve a list of servers to a base URL
+   * @param {Array<Object>} servers - Server objects
+   * @param {boolean} strict - Whether an unmatched selector is an error
+   * @returns {string|null} Base URL or null if the list is empty
+   */
+  resolveServers(servers, strict = false) {
+    const server = this.selectServer(servers, strict);
+    return server ? this.absolutize(this.expandUrl(server)) : null;
+  }
+
+  /**
+   * Get the base URL for an operation, honouring operation and path level overrides
+   * @param {string} path - Path template from the specification
+   * @param {string} method - HTTP method
+   * @returns {string} Base URL
+   */
+  getBaseUrl(path, method) {
+    const pathItem = this.spec.paths?.[path];
+    const operation = pathItem?.[method?.toLowerCase()];
+
+    return (
+      this.resolveServers(operation?.servers) ||
+      this.resolveServers(pathItem?.servers) ||
+      this.defaultUrl
+    );
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * Session manager for MCP client sessions (SSE and Streamable HTTP) with limits,
+ * keep-alive pings and idle eviction
+ */
+import { logger } from './logger.js';
+
+/**
+ * Shortens a session ID for display, since the full ID is what authorizes posting to a session
+ * @param {string} id - Session ID
+ * @returns {string} Masked session ID
+ */
+export function maskSessionId(id) {
+  return id.length > 8 ? `${id.slice(0, 8)}…` : id;
+}
+
+/**
+ * Tracks active sessions and their transports
+ */
+export class SessionManager {
+  /**
+   * Create a new session manager
+   * @param {Object} options - Session options
+   * @param {number} options.maxSessions - Maximum number of concurrent sessions (0 for no limit)
+   * @param {number} options.idleTimeout - Milliseconds without client activity before eviction
+   * @param {number} options.keepAliveInterval - Milliseconds between keep-alive pings
+   * @param {Logger} options.logger - Logger, defaults to the shared logger
+   */
+  constructor(options = {}) {
+    this.sessions = new Map();
+    this.maxSessions = options.maxSessions ?? 100;
+    this.idleTimeout = options.idleTimeout ?? 30 * 60 * 1000; // 30 minutes
+    this.keepAliveInterval = options.keepAliveInterval ?? 25 * 1000; // 25 seconds
+    this.logger = options.logger || logger;
+    this.keepAliveTimer = null;
+    this.evictionTimer = null;
+  }
+
+  /**
+   * Number of active sessions
+   * @returns {number} Session count
+   */
+  get size() {
+    return this.sessions.size;
+  }
+
+  /**
+   * Check whether the session limit has been reached
+   * @returns {boolean} True if no more sessions can be added
+   */
+  isFull() {
+    return this.maxSessions > 0 && this.sessions.size >= this.maxSessions;
+  }
+
+  /**
+   * Register a new session
+   * @param {string} id - Session ID
+   * @param {Object} details - Session details
+   * @param {string} details.type - Transport type, 'sse' or 'streamable'
+   * @param {Object} details.transport - MCP transport, closed on eviction and shutdown
+   * @param {Function} details.keepAlive - Optional function that pings the client
+   * @param {string} details.clientKey - Client that opened the session, for rate limits
+   * @param {Object} details.auth - Authenticated caller that opened the session
+   * @param {string} details.upstreamToken - Caller's own token, forwarded to the upstream API
+   * @returns {Object} Session record
+   */
+  add(id, { type, transport, keepAlive, clientKey, auth, upstreamToken }) {
+    if (this.isFull()) {
+      throw new Error(`Session limit of ${this.maxSessions} reached`);
+    }
+
+    const now = Date.now();
+    const session = {
+      id,
+      type,
+      transport,
+      keepAlive,
+      clientKey,
+      auth,
+      upstreamToken,
+      createdAt: now,
+      lastActivity: now,
+      callCount: 0,
+    };
+    this.sessions.set(id, session);
+    this.startTimers();
+
+    return session;
+  }
+
+  /**
+   * Get a session by ID
+   * @param {string} id - Session ID
+   * @returns {Object|undefined} Session record
+   */
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  /**
+   * Record client activity on a session
+   * @param {string} id - Session ID
+   */
+  touch(id) {
+    const session = this.sessions.get(id);
+    if (session) {
+      session.lastActivity = Date.now();
+    }
+  }
+
+  /**
+   * Count a tool call made on a session
+   * @param {string} id - Session ID
+   */
+  recordCall(id) {
+    const session = this.sessions.get(id);
+    if (session) {
+      session.callCount += 1;
+      session.lastActivity = Date.now();
+    }
+  }
+
+  /**
+   * Forget a session whose transport has already closed
+   * @param {string} id - Session ID
+   * @returns {boolean} True if the session was known
+   */
+  remove(id) {
+    const removed = this.sessions.delete(id);
+    if (this.sessions.size === 0) {
+      this.stopTimers();
+    }
+    return removed;
+  }
+
+  /**
+   * Close a session's transport and forget it
+   * @param {string} id - Session ID
+   * @param {string} reason - Reason for logging
+   */
+  async close(id, reason = 'closed') {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return;
+    }
+
+    this.remove(id);
+    this.logger.info(`Closing ${session.type} session ${id}: ${reason}`);
+
+    try {
+      await session.transport?.close?.();
+    } catch (error) {
+      this.logger.warn(`Error closing session ${id}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Close every session and stop the background timers
+   */
+  async closeAll() {
+    this.stopTimers();
+    await Promise.all([...this.sessions.keys()].map(id => this.close(id, 'server shutting down')));
+  }
+
+  /**
+   * Ping every session that supports keep-alives, closing sessions whose connection is gone
+   */
+  sendKeepAlives() {
+    for (const session of this.sessions.values()) {
+      if (!session.keepAlive) {
+        continue;
+      }
+
+      try {
+        session.keepAlive();
+      } catch (error) {
+        this.logger.warn(`Keep-alive failed for session ${session.id}`, { error: error.message });
+        this.close(session.id, 'keep-alive failed');
+      }
+    }
+  }
+
+  /**
+   * Close sessions without client activity for longer than the idle timeout
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<Array<string>>} IDs of the evicted sessions
+   */
+  async evictIdle(now = Date.now()) {
+    if (this.idleTimeout <= 0) {
+      return [];
+    }
+
+    const idle = [...this.sessions.values()]
+      .filter(session => now - session.lastActivity > this.idleTimeout)
+      .map(session => session.id);
+
+    await Promise.all(idle.map(id => this.close(id, 'idle timeout')));
+    return idle;
+  }
+
+  /**
+   * Describe the active sessions for the admin view
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<Object>} Session summaries
+   */
+  list(now = Date.now()) {
+    return [...this.sessions.values()].map(session => ({
+      id: maskSessionId(session.id),
+      type: session.type,
+      createdAt: new Date(session.createdAt).toISOString(),
+      ageMs: now - session.createdAt,
+      idleMs: now - session.lastActivity,
+      callCount: session.callCount,
+    }));
+  }
+
+  /**
+   * Start the keep-alive and eviction timers while sessions exist
+   */
+  startTimers() {
+    if (!this.keepAliveTimer && this.keepAliveInterval > 0) {
+      this.keepAliveTimer = setInterval(() => this.sendKeepAlives(), this.keepAliveInterval);
+      this.keepAliveTimer.unref?.();
+    }
+
+    if (!this.evictionTimer && this.idleTimeout > 0) {
+      // Check often enough that sessions never outlive the timeout by much
+      const interval = Math.min(this.idleTimeout, 60 * 1000);
+      this.evictionTimer = setInterval(() => this.evictIdle(), interval);
+      this.evictionTimer.unref?.();
+    }
+  }
+
+  /**
+   * Stop the background timers
+   */
+  stopTimers() {
+    clearInterval(this.keepAliveTimer);
+    clearInterval(this.evictionTimer);
+    this.keepAliveTimer = null;
+    this.evictionTimer = null;
+  }
+}
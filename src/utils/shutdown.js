@@ -0,0 +1,188 @@
+/**
+ * Graceful shutdown coordination: stop accepting work, drain in-flight requests, then clean up
+ */
+import { logger } from './logger.js';
+
+// Extra time allowed for cleanup steps once the drain deadline has passed
+const CLEANUP_GRACE_MS = 2000;
+
+/**
+ * Coordinates an orderly shutdown when the process is asked to stop
+ */
+export class ShutdownCoordinator {
+  /**
+   * Create a new shutdown coordinator
+   * @param {Object} options - Shutdown options
+   * @param {number} options.timeout - Milliseconds to wait for in-flight requests to finish
+   * @param {Function} options.exit - Called with the exit code once shutdown completes
+   * @param {Logger} options.logger - Logger, defaults to the shared logger
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout ?? 10 * 1000; // 10 seconds
+    this.exit = options.exit || (code => process.exit(code));
+    this.logger = options.logger || logger;
+    this.inFlight = new Set();
+    this.stopSteps = [];
+    this.cleanupSteps = [];
+    this.signalHandlers = new Map();
+    this.shuttingDown = false;
+    this.shutdownPromise = null;
+  }
+
+  /**
+   * Whether a shutdown has started
+   * @returns {boolean} True once shutdown has been requested
+   */
+  get isShuttingDown() {
+    return this.shuttingDown;
+  }
+
+  /**
+   * Track a piece of in-flight work so shutdown waits for it
+   * @param {Promise<any>} promise - Work to track
+   * @returns {Promise<any>} The same promise
+   */
+  track(promise) {
+    const tracked = Promise.resolve(promise);
+    this.inFlight.add(tracked);
+
+    const forget = () => this.inFlight.delete(tracked);
+    tracked.then(forget, forget);
+
+    return tracked;
+  }
+
+  /**
+   * Register a step that stops new work from arriving, run before draining
+   * @param {string} name - Step name for logging
+   * @param {Function} fn - Step function, may be async
+   */
+  beforeDrain(name, fn) {
+    this.stopSteps.push({ name, fn });
+  }
+
+  /**
+   * Register a step that releases resources, run after draining in registration order
+   * @param {string} name - Step name for logging
+   * @param {Function} fn - Step function, may be async
+   */
+  afterDrain(name, fn) {
+    this.cleanupSteps.push({ name, fn });
+  }
+
+  /**
+   * Wait until all tracked work has settled or the timeout passes
+   * @param {number} timeout - Milliseconds to wait
+   * @returns {Promise<boolean>} True if everything finished in time
+   */
+  async drain(timeout = this.timeout) {
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeout);
+    });
+
+    // Work tracked while draining is waited for too
+    const settled = async () => {
+      while (this.inFlight.size > 0) {
+        await Promise.allSettled([...this.inFlight]);
+      }
+      return true;
+    };
+
+    try {
+      return await Promise.race([settled(), deadline]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Shut down: run the stop steps, drain in-flight work, run the cleanup steps and exit.
+   * Calling it again returns the shutdown already in progress.
+   * @param {string} reason - Why the shutdown was requested, e.g. the signal name
+   * @returns {Promise<void>} Resolves once shutdown has completed
+   */
+  shutdown(reason = 'shutdown requested') {
+    if (this.shutdownPromise) {
+      return this.shutdownPromise;
+    }
+
+    this.shuttingDown = true;
+    this.logger.info(`Shutting down (${reason}) with ${this.inFlight.size} request(s) in flight`);
+
+    this.shutdownPromise = (async () => {
+      // Exit even if a cleanup step hangs
+      const forceExit = setTimeout(() => {
+        this.logger.error('Shutdown did not complete in time, exiting');
+        this.exit(1);
+      }, this.timeout + CLEANUP_GRACE_MS);
+      forceExit.unref?.();
+
+      await this.runSteps(this.stopSteps);
+
+      const drained = await this.drain();
+      if (!drained) {
+        this.logger.warn(
+          `Shutdown deadline of ${this.timeout}ms reached with ${this.inFlight.size} request(s) still in flight`
+        );
+      }
+
+      this.logger.info('Releasing resources');
+      await this.runSteps(this.cleanupSteps);
+
+      clearTimeout(forceExit);
+      this.exit(drained ? 0 : 1);
+    })();
+
+    return this.shutdownPromise;
+  }
+
+  /**
+   * Run shutdown steps in order, logging failures without stopping the sequence
+   * @param {Array<Object>} steps - Steps to run
+   */
+  async runSteps(steps) {
+    for (const { name, fn } of steps) {
+      try {
+        await fn();
+      } catch (error) {
+        this.logger.warn(`Shutdown step failed: ${name}`, { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Shut down when the process receives one of the given signals. A second signal during
+   * shutdown exits immediately.
+   * @param {Array<string>} signals - Signal names
+   */
+  listen(signals = ['SIGINT', 'SIGTERM']) {
+    for (const signal of signals) {
+      if (this.signalHandlers.has(signal)) {
+        continue;
+      }
+
+      const handler = () => {
+        if (this.isShuttingDown) {
+          this.logger.warn(`Received ${signal} during shutdown, exiting immediately`);
+          this.exit(1);
+          return;
+        }
+        this.shutdown(signal);
+      };
+
+      this.signalHandlers.set(signal, handler);
+      process.on(signal, handler);
+    }
+  }
+
+  /**
+   * Remove the signal handlers added by listen
+   */
+  unlisten() {
+    for (const [signal, handler] of this.signalHandlers) {
+      process.off(signal, handler);
+    }
+    this.signalHandlers.clear();
+  }
+}
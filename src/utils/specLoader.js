@@ -0,0 +1,123 @@
+/**
+ * Specification loader for reading OpenAPI/Swagger documents from remote URLs or local files
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fetch from 'node-fetch';
+import yaml from 'js-yaml';
+import { ApiError } from './apiError.js';
+
+/**
+ * Checks whether a specification source points to a remote HTTP(S) location
+ * @param {string} source - URL or filesystem path of the specification
+ * @returns {boolean} True if the source is an http:// or https:// URL
+ */
+export function isRemoteSource(source) {
+  return /^https?:\/\//i.test(source);
+}
+
+/**
+ * Resolves a file:// URL or plain filesystem path to an absolute path
+ * @param {string} source - file:// URL, absolute path or path relative to the working directory
+ * @returns {string} Absolute filesystem path
+ */
+export function resolveSourcePath(source) {
+  if (/^file:\/\//i.test(source)) {
+    return fileURLToPath(source);
+  }
+
+  return path.resolve(process.cwd(), source);
+}
+
+/**
+ * Detects the document format from the source extension or the response content type
+ * @param {string} source - URL or filesystem path of the specification
+ * @param {string} contentType - Optional Content-Type header of a remote response
+ * @returns {string|null} 'json', 'yaml' or null if the format cannot be determined
+ */
+export function detectFormat(source, contentType = '') {
+  const type = (contentType || '').toLowerCase();
+  if (type.includes('json')) {
+    return 'json';
+  }
+  if (type.includes('yaml') || type.includes('yml')) {
+    return 'yaml';
+  }
+
+  // Ignore query strings and fragments when looking at the extension
+  const pathname = String(source || '').split(/[?#]/)[0];
+  const extension = path.extname(pathname).toLowerCase();
+
+  if (extension === '.json') {
+    return 'json';
+  }
+  if (extension === '.yaml' || extension === '.yml') {
+    return 'yaml';
+  }
+
+  return null;
+}
+
+/**
+ * Parses a specification document
+ * @param {string} text - Raw document content
+ * @param {string|null} format - 'json', 'yaml' or null to detect from the content
+ * @returns {Object} Parsed specification
+ */
+export function parseSpecification(text, format = null) {
+  if (format === 'json') {
+    return JSON.parse(text);
+  }
+
+  if (format === 'yaml') {
+    return yaml.load(text);
+  }
+
+  // Unknown format: JSON documents start with an object, anything else is treated as YAML
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('{')) {
+    return JSON.parse(trimmed);
+  }
+
+  return yaml.load(text);
+}
+
+/**
+ * Loads a specification from a remote URL, a file:// URL or a local filesystem path
+ * @param {string} source - Location of the specification
+ * @returns {Promise<Object>} Parsed specification
+ */
+export async function loadSpecification(source) {
+  if (!source) {
+    throw new Error('No specification source configured');
+  }
+
+  if (isRemoteSource(source)) {
+    const response = await fetch(source, {
+      headers: {
+        Accept: 'application/json, application/yaml;q=0.9, text/yaml;q=0.8, */*;q=0.5',
+      },
+    });
+
+    if (!response.ok) {
+      throw new ApiError(
+        `Specification request responded with ${response.status}: ${response.statusText}`,
+        response.status
+      );
+    }
+
+    const format = detectFormat(source, response.headers?.get('content-type'));
+    if (format === 'json') {
+      return await response.json();
+    }
+
+    return parseSpecification(await response.text(), format);
+  }
+
+  const filePath = resolveSourcePath(source);
+  const text = await fs.promises.readFile(filePath, 'utf8');
+
+  return parseSpecification(text, detectFormat(filePath));
+}
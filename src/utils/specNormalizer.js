@@ -0,0 +1,399 @@
+/**
+ * Specification normalizer that converts Swagger 2.0 documents into the OpenAPI 3 model
+ * used by the rest of the server
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+// Swagger 2.0 reference prefixes and their OpenAPI 3 equivalents
+const REF_PREFIXES = {
+  '#/definitions/': '#/components/schemas/',
+  '#/parameters/': '#/components/parameters/',
+  '#/responses/': '#/components/responses/',
+};
+
+// Keywords copied from a Swagger 2.0 non-body parameter into its OpenAPI 3 schema
+const PARAMETER_SCHEMA_KEYWORDS = [
+  'type',
+  'format',
+  'items',
+  'default',
+  'enum',
+  'minimum',
+  'maximum',
+  'exclusiveMinimum',
+  'exclusiveMaximum',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'multipleOf',
+];
+
+// Swagger 2.0 oauth2 flow names mapped to OpenAPI 3 flow names
+const OAUTH2_FLOWS = {
+  implicit: 'implicit',
+  password: 'password',
+  application: 'clientCredentials',
+  accessCode: 'authorizationCode',
+};
+
+/**
+ * Detects the specification version
+ * @param {Object} spec - Parsed specification
+ * @returns {string|null} 'swagger2', 'openapi3' or null if the version is not declared
+ */
+export function getSpecVersion(spec) {
+  if (!spec || typeof spec !== 'object') {
+    return null;
+  }
+
+  if (typeof spec.swagger === 'string' && spec.swagger.startsWith('2')) {
+    return 'swagger2';
+  }
+
+  if (typeof spec.openapi === 'string' && spec.openapi.startsWith('3')) {
+    return 'openapi3';
+  }
+
+  return null;
+}
+
+/**
+ * Rewrites Swagger 2.0 `$ref`s and schema keywords to their OpenAPI 3 form
+ * @param {any} value - Value to convert
+ * @returns {any} Converted copy
+ */
+function convertSchema(value) {
+  if (Array.isArray(value)) {
+    return value.map(convertSchema);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (key === '$ref' && typeof child === 'string') {
+      const prefix = Object.keys(REF_PREFIXES).find(p => child.startsWith(p));
+      result.$ref = prefix ? REF_PREFIXES[prefix] + child.slice(prefix.length) : child;
+    } else if (key === 'x-nullable') {
+      result.nullable = child;
+    } else if (key === 'type' && child === 'file') {
+      result.type = 'string';
+      result.format = 'binary';
+    } else {
+      result[key] = convertSchema(child);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Builds the OpenAPI 3 `servers` list from host, basePath and schemes
+ * @param {Object} spec - Swagger 2.0 specification
+ * @returns {Array<Object>} Server objects
+ */
+function convertServers(spec) {
+  const basePath = spec.basePath && spec.basePath !== '/' ? spec.basePath.replace(/\/$/, '') : '';
+
+  if (!spec.host) {
+    return basePath ? [{ url: basePath }] : [];
+  }
+
+  const schemes = spec.schemes?.length ? spec.schemes : ['https'];
+  return schemes.map(scheme => ({ url: `${scheme}://${spec.host}${basePath}` }));
+}
+
+/**
+ * Maps a Swagger 2.0 `collectionFormat` to OpenAPI 3 `style`/`explode`
+ * @param {Object} param - Swagger 2.0 parameter
+ * @returns {Object} Style and explode settings, empty when the defaults apply
+ */
+function convertCollectionFormat(param) {
+  if (param.type !== 'array') {
+    return {};
+  }
+
+  switch (param.collectionFormat) {
+    case 'multi':
+      return { style: 'form', explode: true };
+    case 'ssv':
+      return { style: 'spaceDelimited', explode: false };
+    case 'pipes':
+      return { style: 'pipeDelimited', explode: false };
+    default:
+      // csv (the Swagger 2.0 default) and tsv, which has no OpenAPI 3 equivalent
+      return param.in === 'query' || param.in === 'cookie' ? { style: 'form', explode: false } : {};
+  }
+}
+
+/**
+ * Converts a Swagger 2.0 non-body parameter
+ * @param {Object} param - Swagger 2.0 parameter
+ * @returns {Object} OpenAPI 3 parameter
+ */
+function convertParameter(param) {
+  const schema = {};
+  for (const keyword of PARAMETER_SCHEMA_KEYWORDS) {
+    if (param[keyword] !== undefined) {
+      schema[keyword] = param[keyword];
+    }
+  }
+
+  const converted = {
+    name: param.name,
+    in: param.in,
+    description: param.description,
+    required: param.in === 'path' ? true : param.required,
+    schema: convertSchema(schema),
+    ...convertCollectionFormat(param),
+  };
+
+  if (param.allowEmptyValue !== undefined) {
+    converted.allowEmptyValue = param.allowEmptyValue;
+  }
+
+  for (const [key, value] of Object.entries(param)) {
+    if (key.startsWith('x-')) {
+      converted[key] = value;
+    }
+  }
+
+  return Object.fromEntries(Object.entries(converted).filter(([, v]) => v !== undefined));
+}
+
+/**
+ * Builds an OpenAPI 3 request body from `in: formData` parameters
+ * @param {Array<Object>} params - Swagger 2.0 formData parameters
+ * @param {Array<string>} consumes - Media types the operation accepts
+ * @returns {Object} OpenAPI 3 request body
+ */
+function convertFormData(params, consumes) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+
+  for (const param of params) {
+    schema.properties[param.name] = convertParameter(param).schema;
+    if (param.description) {
+      schema.properties[param.name].description = param.description;
+    }
+    if (param.required) {
+      required.push(param.name);
+    }
+  }
+
+  if (required.length > 0) {
+    schema.required = required;
+  }
+
+  const formTypes = consumes.filter(
+    type => type === 'multipart/form-data' || type === 'application/x-www-form-urlencoded'
+  );
+  const mediaTypes = formTypes.length > 0 ? formTypes : ['application/x-www-form-urlencoded'];
+
+  return {
+    required: required.length > 0,
+    content: Object.fromEntries(mediaTypes.map(type => [type, { schema }])),
+  };
+}
+
+/**
+ * Converts a Swagger 2.0 response
+ * @param {Object} response - Swagger 2.0 response
+ * @param {Array<string>} produces - Media types the operation produces
+ * @returns {Object} OpenAPI 3 response
+ */
+function convertResponse(response, produces) {
+  if (response.$ref) {
+    return convertSchema(response);
+  }
+
+  const converted = { description: response.description || '' };
+
+  if (response.schema) {
+    const schema = convertSchema(response.schema);
+    converted.content = Object.fromEntries(produces.map(type => [type, { schema }]));
+  }
+
+  if (response.headers) {
+    converted.headers = Object.fromEntries(
+      Object.entries(response.headers).map(([name, header]) => {
+        const { description, ...schema } = header;
+        return [name, { description, schema: convertSchema(schema) }];
+      })
+    );
+  }
+
+  return converted;
+}
+
+/**
+ * Converts Swagger 2.0 security definitions into OpenAPI 3 security schemes
+ * @param {Object} definitions - Swagger 2.0 securityDefinitions
+ * @returns {Object} OpenAPI 3 securitySchemes
+ */
+function convertSecurityDefinitions(definitions = {}) {
+  const schemes = {};
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (definition.type === 'basic') {
+      schemes[name] = { type: 'http', scheme: 'basic', description: definition.description };
+    } else if (definition.type === 'oauth2') {
+      const flow = {
+        authorizationUrl: definition.authorizationUrl,
+        tokenUrl: definition.tokenUrl,
+        scopes: definition.scopes || {},
+      };
+      schemes[name] = {
+        type: 'oauth2',
+        description: definition.description,
+        flows: { [OAUTH2_FLOWS[definition.flow] || definition.flow]: flow },
+      };
+    } else {
+      schemes[name] = { ...definition };
+    }
+  }
+
+  return schemes;
+}
+
+/**
+ * Converts a Swagger 2.0 document into an equivalent OpenAPI 3 document
+ * @param {Object} spec - Swagger 2.0 specification
+ * @returns {Object} OpenAPI 3 specification
+ */
+export function convertSwagger2(spec) {
+  const globalParameters = spec.parameters || {};
+  const globalConsumes = spec.consumes || ['application/json'];
+  const globalProduces = spec.produces || ['application/json'];
+
+  // Body and formData parameters can only be inlined, so shared parameters are dereferenced here
+  const dereferenceParameter = param => {
+    if (param?.$ref?.startsWith('#/parameters/')) {
+      return globalParameters[param.$ref.slice('#/parameters/'.length)] || param;
+    }
+    return param;
+  };
+
+  const paths = {};
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    const pathParameters = (pathItem.parameters || []).map(dereferenceParameter);
+    const convertedPathItem = {};
+
+    for (const [key, value] of Object.entries(pathItem)) {
+      if (key === 'parameters') {
+        const shared = pathParameters.filter(p => p.in !== 'body' && p.in !== 'formData');
+        if (shared.length > 0) {
+          convertedPathItem.parameters = shared.map(convertParameter);
+        }
+        continue;
+      }
+
+      if (!HTTP_METHODS.includes(key)) {
+        convertedPathItem[key] = convertSchema(value);
+        continue;
+      }
+
+      const { parameters = [], responses = {}, consumes, produces, ...rest } = value;
+      const operation = convertSchema(rest);
+      const operationConsumes = consumes || globalConsumes;
+      const operationProduces = produces || globalProduces;
+
+      // Operation parameters override path-level body and formData parameters of the same name
+      const operationParameters = parameters.map(dereferenceParameter);
+      const inherited = pathParameters.filter(
+        p =>
+          (p.in === 'body' || p.in === 'formData') &&
+          !operationParameters.some(op => op.name === p.name && op.in === p.in)
+      );
+      const allParameters = [...inherited, ...operationParameters];
+
+      const converted = allParameters
+        .filter(p => p.in !== 'body' && p.in !== 'formData')
+        .map(p => (p.$ref ? convertSchema(p) : convertParameter(p)));
+      if (converted.length > 0) {
+        operation.parameters = converted;
+      }
+
+      const bodyParam = allParameters.find(p => p.in === 'body');
+      const formParams = allParameters.filter(p => p.in === 'formData');
+
+      if (bodyParam) {
+        const schema = convertSchema(bodyParam.schema || {});
+        operation.requestBody = {
+          description: bodyParam.description,
+          required: Boolean(bodyParam.required),
+          content: Object.fromEntries(operationConsumes.map(type => [type, { schema }])),
+        };
+        if (bodyParam['x-name']) {
+          operation.requestBody['x-name'] = bodyParam['x-name'];
+        }
+      } else if (formParams.length > 0) {
+        operation.requestBody = convertFormData(formParams, operationConsumes);
+      }
+
+      operation.responses = Object.fromEntries(
+        Object.entries(responses).map(([status, response]) => [
+          status,
+          convertResponse(response, operationProduces),
+        ])
+      );
+
+      convertedPathItem[key] = operation;
+    }
+
+    paths[path] = convertedPathItem;
+  }
+
+  const sharedParameters = Object.fromEntries(
+    Object.entries(globalParameters)
+      .filter(([, param]) => param.in !== 'body' && param.in !== 'formData')
+      .map(([name, param]) => [name, convertParameter(param)])
+  );
+
+  const extensions = Object.fromEntries(
+    Object.entries(spec).filter(([key]) => key.startsWith('x-'))
+  );
+
+  const converted = {
+    ...extensions,
+    openapi: '3.0.3',
+    info: spec.info || { title: 'API', version: '1.0.0' },
+    servers: convertServers(spec),
+    tags: spec.tags,
+    externalDocs: spec.externalDocs,
+    security: spec.security,
+    paths,
+    components: {
+      schemas: convertSchema(spec.definitions || {}),
+      parameters: sharedParameters,
+      responses: Object.fromEntries(
+        Object.entries(spec.responses || {}).map(([name, response]) => [
+          name,
+          convertResponse(response, globalProduces),
+        ])
+      ),
+      securitySchemes: convertSecurityDefinitions(spec.securityDefinitions),
+    },
+  };
+
+  return Object.fromEntries(Object.entries(converted).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Normalizes a specification into the OpenAPI 3 model, converting Swagger 2.0 documents
+ * @param {Object} spec - Parsed specification
+ * @returns {Object} OpenAPI 3 specification
+ */
+export function normalizeSpecification(spec) {
+  if (getSpecVersion(spec) === 'swagger2') {
+    return convertSwagger2(spec);
+  }
+
+  return spec;
+}
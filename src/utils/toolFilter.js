@@ -0,0 +1,105 @@
+/**
+ * Selects the operations exposed as tools: an optional read-only mode, plus allow and deny rules
+ * matching HTTP methods, tags, operation IDs and paths
+ */
+import { ConfigError } from '../config/index.js';
+
+// Methods that only read data, the only ones exposed in read-only mode
+export const SAFE_METHODS = ['get', 'head', 'options'];
+
+// Rule kinds and the operation property each one matches
+const RULE_KINDS = {
+  method: operation => [operation.method],
+  tag: operation => operation.tags,
+  operation: operation => [operation.name],
+  path: operation => [operation.path],
+};
+
+/**
+ * Convert a glob, where `*` matches any run of characters and `?` a single one, to a RegExp
+ * @param {string} pattern - Glob pattern
+ * @param {boolean} ignoreCase - Whether to match case-insensitively
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(pattern, ignoreCase = false) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, ignoreCase ? 'i' : '');
+}
+
+/**
+ * Parse a rule such as `method:delete`, `tag:Reports`, `operation:getLpc*` or `path:/api/*`
+ * @param {string} rule - Rule text
+ * @returns {{rule: string, matches: Function}} Rule with a predicate over operations
+ * @throws {ConfigError} If the rule kind is unknown
+ */
+export function parseRule(rule) {
+  const separator = rule.indexOf(':');
+  const kind = rule.slice(0, separator);
+  const values = RULE_KINDS[kind];
+  if (separator < 1 || !values) {
+    throw new ConfigError(`Invalid tool rule ${rule}: expected method:, tag:, operation: or path:`);
+  }
+
+  // HTTP methods are case-insensitive, everything else is matched as written
+  const pattern = globToRegExp(rule.slice(separator + 1), kind === 'method');
+  return {
+    rule,
+    matches: operation => values(operation).some(value => pattern.test(value)),
+  };
+}
+
+/**
+ * Decides which operations become tools
+ */
+export class ToolFilter {
+  /**
+   * Create a new tool filter
+   * @param {Object} options - Filter options
+   * @param {boolean} options.readOnly - Only expose GET, HEAD and OPTIONS operations
+   * @param {Array<string>} options.allow - Rules of which at least one must match, when given
+   * @param {Array<string>} options.deny - Rules that exclude any operation they match
+   */
+  constructor(options = {}) {
+    this.readOnly = options.readOnly === true;
+    this.allow = (options.allow || []).map(parseRule);
+    this.deny = (options.deny || []).map(parseRule);
+  }
+
+  /**
+   * Explain why an operation is not exposed
+   * @param {Object} operation - Operation to check
+   * @param {string} operation.name - Tool name, from the operationId
+   * @param {string} operation.method - HTTP method
+   * @param {string} operation.path - Path template
+   * @param {Array<string>} operation.tags - Operation tags
+   * @returns {string|null} Reason for excluding the operation, or null if it is exposed
+   */
+  exclusionReason(operation) {
+    if (this.readOnly && !SAFE_METHODS.includes(operation.method.toLowerCase())) {
+      return 'read-only mode';
+    }
+
+    const denied = this.deny.find(rule => rule.matches(operation));
+    if (denied) {
+      return `denied by ${denied.rule}`;
+    }
+
+    if (this.allow.length > 0 && !this.allow.some(rule => rule.matches(operation))) {
+      return 'not in the allow list';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether an operation is exposed as a tool
+   * @param {Object} operation - Operation to check, see exclusionReason
+   * @returns {boolean} True if the operation is exposed
+   */
+  includes(operation) {
+    return this.exclusionReason(operation) === null;
+  }
+}
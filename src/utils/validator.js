@@ -1,8 +1,54 @@
 import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
 import { ErrorHandler } from './errorHandler.js';
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 
-const ajv = new Ajv({ allErrors: true });
+// Generated schemas carry OpenAPI formats and annotations, so unknown keywords and
+// vendor formats are ignored rather than rejected
+const ajv = new Ajv({ allErrors: true, strict: false, logger: false });
+addFormats(ajv);
+
+// Compiled validators keyed by input schema, so each tool's schema is compiled only once
+const compiledValidators = new WeakMap();
+
+// Human readable names used in type error messages
+const TYPE_LABELS = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object',
+};
+
+/**
+ * Creates an invalid params error carrying structured validation details
+ * @param {string} message - Error message
+ * @param {Object} validationError - Ajv-style error object
+ * @returns {McpError} Error with the formatted validation errors as data
+ */
+function invalidParamsError(message, validationError) {
+  return new McpError(
+    ErrorCode.InvalidParams,
+    message,
+    ErrorHandler.formatValidationErrors([validationError])
+  );
+}
+
+/**
+ * Creates an invalid params error for an argument of the wrong type
+ * @param {string} name - Argument name
+ * @param {string} type - Expected JSON Schema type
+ * @returns {McpError} Error with the formatted validation errors as data
+ */
+function typeError(name, type) {
+  return invalidParamsError(`Parameter ${name} must be ${TYPE_LABELS[type]}`, {
+    instancePath: `/${name}`,
+    keyword: 'type',
+    message: `must be ${type}`,
+    params: { type },
+  });
+}
 
 /**
  * Validator class for validating tool inputs against JSON Schema
@@ -19,13 +65,29 @@ export class Validator {
       return; // No schema to validate against
     }
 
-    const validate = ajv.compile(tool.inputSchema);
+    const validate = this.getCompiledValidator(tool.inputSchema);
     const valid = validate(args);
 
     if (!valid) {
       const formattedErrors = ErrorHandler.formatValidationErrors(validate.errors);
-      throw new McpError(ErrorCode.InvalidParams, JSON.stringify(formattedErrors));
+      throw new McpError(ErrorCode.InvalidParams, JSON.stringify(formattedErrors), formattedErrors);
+    }
+  }
+
+  /**
+   * Gets the compiled Ajv validator for a schema, compiling it on first use
+   * @param {Object} schema - JSON Schema
+   * @returns {Function} Ajv validate function
+   */
+  static getCompiledValidator(schema) {
+    let validate = compiledValidators.get(schema);
+
+    if (!validate) {
+      validate = ajv.compile(schema);
+      compiledValidators.set(schema, validate);
     }
+
+    return validate;
   }
 
   /**
@@ -39,7 +101,12 @@ export class Validator {
 
     for (const param of required) {
       if (args[param] === undefined) {
-        throw new McpError(ErrorCode.InvalidParams, `Missing required parameter: ${param}`);
+        throw invalidParamsError(`Missing required parameter: ${param}`, {
+          instancePath: '',
+          keyword: 'required',
+          message: `must have required property '${param}'`,
+          params: { missingProperty: param },
+        });
       }
     }
   }
@@ -64,32 +131,32 @@ export class Validator {
       switch (propSchema.type) {
         case 'string':
           if (typeof value !== 'string') {
-            throw new McpError(ErrorCode.InvalidParams, `Parameter ${name} must be a string`);
+            throw typeError(name, 'string');
           }
           break;
         case 'number':
           if (typeof value !== 'number') {
-            throw new McpError(ErrorCode.InvalidParams, `Parameter ${name} must be a number`);
+            throw typeError(name, 'number');
           }
           break;
         case 'integer':
           if (typeof value !== 'number' || !Number.isInteger(value)) {
-            throw new McpError(ErrorCode.InvalidParams, `Parameter ${name} must be an integer`);
+            throw typeError(name, 'integer');
           }
           break;
         case 'boolean':
           if (typeof value !== 'boolean') {
-            throw new McpError(ErrorCode.InvalidParams, `Parameter ${name} must be a boolean`);
+            throw typeError(name, 'boolean');
           }
           break;
         case 'array':
           if (!Array.isArray(value)) {
-            throw new McpError(ErrorCode.InvalidParams, `Parameter ${name} must be an array`);
+            throw typeError(name, 'array');
           }
           break;
         case 'object':
           if (typeof value !== 'object' || value === null || Array.isArray(value)) {
-            throw new McpError(ErrorCode.InvalidParams, `Parameter ${name} must be an object`);
+            throw typeError(name, 'object');
           }
           break;
       }